@@ -5,59 +5,2484 @@
  * The user transitions from SUSPENDED status back to ACTIVE status.
  */
 
-import { getBaseURL, createHeaders } from '@sgnl-actions/utils';
+import { createHash, createPrivateKey, generateKeyPairSync, randomUUID, sign } from 'node:crypto';
+import { getBaseURL, createHeaders, SGNL_USER_AGENT } from '@sgnl-actions/utils';
 
 // Okta user status constants
 const USER_STATUS = {
+  ACTIVE: 'ACTIVE',
   SUSPENDED: 'SUSPENDED'
 };
 
+// Stable error codes exposed on every error this action throws
+const ERROR_CODE = {
+  INVALID_INPUT: 'INVALID_INPUT',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  USER_NOT_FOUND: 'USER_NOT_FOUND',
+  GROUP_NOT_FOUND: 'GROUP_NOT_FOUND',
+  APP_NOT_FOUND: 'APP_NOT_FOUND',
+  AMBIGUOUS_IDENTIFIER: 'AMBIGUOUS_IDENTIFIER',
+  AUTH_FAILED: 'AUTH_FAILED',
+  FORBIDDEN: 'FORBIDDEN',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INVALID_LIFECYCLE_STATE: 'INVALID_LIFECYCLE_STATE',
+  CONFIRMATION_FAILED: 'CONFIRMATION_FAILED',
+  AUDIT_EVENT_NOT_FOUND: 'AUDIT_EVENT_NOT_FOUND',
+  BULK_FAILED: 'BULK_FAILED',
+  APPROVAL_REQUIRED: 'APPROVAL_REQUIRED',
+  APPROVER_NOT_ELIGIBLE: 'APPROVER_NOT_ELIGIBLE',
+  SELF_APPROVAL: 'SELF_APPROVAL',
+  PROTECTED_ACCOUNT: 'PROTECTED_ACCOUNT',
+  PRECONDITION_FAILED: 'PRECONDITION_FAILED',
+  ORG_NOT_FOUND: 'ORG_NOT_FOUND',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  INVALID_RESPONSE: 'INVALID_RESPONSE',
+  OKTA_SERVER_ERROR: 'OKTA_SERVER_ERROR',
+  OKTA_ERROR: 'OKTA_ERROR'
+};
+
+// Failures that may succeed if the job runs again
+const RETRYABLE_ERROR_CODES = [
+  ERROR_CODE.RATE_LIMITED,
+  ERROR_CODE.CONFIRMATION_FAILED,
+  ERROR_CODE.NETWORK_ERROR,
+  ERROR_CODE.OKTA_SERVER_ERROR
+];
+
+// Why a user in each non-unsuspendable lifecycle state cannot be unsuspended
+const INELIGIBLE_STATUS_REASONS = {
+  STAGED: 'has never been activated. Activate the user instead',
+  PROVISIONED: 'is pending activation. Complete or reset the activation instead',
+  DEPROVISIONED: 'is deactivated. Reactivate the user instead',
+  LOCKED_OUT: 'is locked out. Unlock the user instead',
+  PASSWORD_EXPIRED: 'has an expired password. Only SUSPENDED users can be unsuspended',
+  RECOVERY: 'is in password recovery. Only SUSPENDED users can be unsuspended'
+};
+
+// What a run would do for a user, as reported by dry-run plans
+const PLAN_ACTION = {
+  UNSUSPEND: 'unsuspend',
+  NONE: 'none',
+  REFUSE: 'refuse'
+};
+
+// Per-user outcomes reported in bulk mode
+const BULK_RESULT = {
+  UNSUSPENDED: 'unsuspended',
+  ALREADY_ACTIVE: 'already_active',
+  WOULD_UNSUSPEND: 'would_unsuspend',
+  NOT_ELIGIBLE: 'not_eligible',
+  FAILED: 'failed'
+};
+
+// Bulk result for each dry-run plan action
+const DRY_RUN_RESULTS = {
+  [PLAN_ACTION.UNSUSPEND]: BULK_RESULT.WOULD_UNSUSPEND,
+  [PLAN_ACTION.NONE]: BULK_RESULT.ALREADY_ACTIVE,
+  [PLAN_ACTION.REFUSE]: BULK_RESULT.NOT_ELIGIBLE
+};
+
+// When a bulk run fails the job: on any failed user, only when every user failed, or never
+const FAILURE_POLICY = {
+  ANY: 'any',
+  ALL: 'all',
+  NONE: 'none'
+};
+
+// Okta's maximum page size for group members
+const GROUP_PAGE_SIZE = 200;
+
+// Transient responses worth retrying
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+const MAX_ATTEMPTS = 4;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+
+// Stay inside the 30s runtime timeout from metadata.yaml, leaving headroom to report the result
+const RUNTIME_BUDGET_MS = 25000;
+
+const DEFAULT_CONCURRENCY = 5;
+const MAX_CONCURRENCY = 10;
+
+// Okta lifecycle changes can take a moment to show up on GET /api/v1/users/{id}
+const DEFAULT_CONFIRMATION_ATTEMPTS = 5;
+const MAX_CONFIRMATION_ATTEMPTS = 10;
+const DEFAULT_CONFIRMATION_INTERVAL_MS = 1000;
+const MIN_CONFIRMATION_INTERVAL_MS = 100;
+const MAX_CONFIRMATION_INTERVAL_MS = 5000;
+
+// Okta profile attribute names; anything else is refused before it reaches a search expression or update
+const PROFILE_ATTRIBUTE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Okta-hosted admin console hosts, such as acme-admin.okta.com for the acme.okta.com org
+const OKTA_ADMIN_HOST_PATTERN = /^([a-z0-9-]+)-admin\.((?:okta|oktapreview|okta-emea|okta-gov)\.com|okta\.mil)$/;
+
+// Address paths that are dropped: the API base path and admin console pages. Any other path is refused
+const ADDRESS_PATH_PATTERN = /^\/(?:api\/v1|admin(?:\/.*)?)?\/?$/i;
+
+// Org profile keys; an org's settings are read from ORG_<KEY>_ prefixed environment variables and secrets
+const ORG_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Settings that belong to one org and are never inherited from the defaults by an org profile
+const ORG_PROFILE_KEY_PATTERN = /^(?:ADDRESS$|BEARER_AUTH_|BASIC_|OAUTH2_)/;
+
+// HTTP header names (RFC 9110 tokens), minus the ones the action sets itself
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const RESERVED_HEADERS = ['accept', 'authorization', 'content-type', 'dpop', 'host', 'user-agent'];
+
+// Opt-in follow-up calls for a fresh start after a security hold, run in this order
+// Clearing sessions also revokes OAuth tokens, and expiring the password moves the user to PASSWORD_EXPIRED until they change it
+const HYGIENE_STEPS = [
+  { name: 'clearSessions', method: 'DELETE', path: '/sessions?oauthTokens=true', errorPrefix: 'Failed to clear user sessions' },
+  { name: 'resetFactors', method: 'POST', path: '/lifecycle/reset_factors', errorPrefix: 'Failed to reset user factors' },
+  { name: 'expirePassword', method: 'POST', path: '/lifecycle/expire_password', errorPrefix: 'Failed to expire user password' }
+];
+
+// What a run does: the default unsuspend, or the companion re-suspend that ends a time-boxed unsuspension
+const RUN_MODE = {
+  UNSUSPEND: 'unsuspend',
+  RESUSPEND: 'resuspend'
+};
+
+// Longest time box, one year
+const MAX_DURATION_MINUTES = 525600;
+
+// Per-group and per-app outcomes when restoring access
+const ACCESS_RESULT = {
+  ADDED: 'added',
+  ALREADY_MEMBER: 'already_member',
+  ASSIGNED: 'assigned',
+  ALREADY_ASSIGNED: 'already_assigned',
+  FAILED: 'failed'
+};
+
+// Operators a profile precondition can use; the date operators accept an ISO 8601 value or "now"
+const PRECONDITION_OPERATORS = ['equals', 'not-equals', 'date-before', 'date-after', 'present', 'absent'];
+const VALUELESS_OPERATORS = ['present', 'absent'];
+
+// Values a profile stamp can reference as {{name}}
+const STAMP_FIELDS = ['userId', 'unsuspendedAt', 'previousStatus', 'reason', 'ticketId', 'requestedBy', 'justification', 'unsuspendRequestId', 'auditEventId'];
+const STAMP_PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// System Log event Okta writes when a user is unsuspended
+const UNSUSPEND_EVENT_TYPE = 'user.lifecycle.unsuspend';
+const SYSTEM_LOG_PAGE_SIZE = 20;
+
+// Start the System Log search a little early so clock skew with Okta can't hide the event
+const SYSTEM_LOG_CLOCK_SKEW_MS = 60000;
+
+// Private-key JWT (client assertion) auth for Okta service apps
+const PRIVATE_KEY_JWT_DEFAULT_SCOPE = 'okta.users.manage';
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+const CLIENT_ASSERTION_LIFETIME_SECONDS = 300;
+
+// How BEARER_AUTH_TOKEN is sent: as an Okta API token, an OAuth access token, or picked from the token itself
+const BEARER_AUTH_SCHEME = {
+  SSWS: 'ssws',
+  BEARER: 'bearer',
+  AUTO: 'auto'
+};
+const JWT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+
+// Cached OAuth2 tokens are refreshed this long before Okta says they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60000;
+
+// OAuth2 access tokens minted by this process, so warm runs don't request a new one every time
+const tokenCache = new Map();
+
+/**
+ * Error raised by this action, with a stable code downstream workflows can branch on
+ * Carries Okta's errorCode, errorSummary, errorCauses and errorId, plus the X-Okta-Request-Id header,
+ * when the failure came from an Okta response
+ * @private
+ */
+class OktaActionError extends Error {
+  constructor(message, { code, statusCode, retryable, oktaError = {}, requestId, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'OktaActionError';
+    this.code = code || codeForStatus(statusCode);
+    this.statusCode = statusCode;
+    this.retryable = retryable ?? RETRYABLE_ERROR_CODES.includes(this.code);
+    this.errorCode = oktaError.errorCode;
+    this.errorSummary = oktaError.errorSummary;
+    this.errorCauses = oktaError.errorCauses;
+    this.errorId = oktaError.errorId;
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * Error thrown when the user's lifecycle state does not allow unsuspension
+ * @private
+ */
+class InvalidLifecycleStateError extends OktaActionError {
+  constructor(userId, userStatus) {
+    const reason = INELIGIBLE_STATUS_REASONS[userStatus] || 'is not SUSPENDED';
+    super(`User ${userId} cannot be unsuspended: user is ${userStatus} and ${reason}`, {
+      code: ERROR_CODE.INVALID_LIFECYCLE_STATE,
+      statusCode: 400
+    });
+    this.name = 'InvalidLifecycleStateError';
+    this.userStatus = userStatus;
+  }
+}
+
+/**
+ * Helper function to map an HTTP status to an error code
+ * @private
+ */
+function codeForStatus(statusCode, notFoundCode = ERROR_CODE.USER_NOT_FOUND) {
+  switch (statusCode) {
+    case 400:
+      return ERROR_CODE.INVALID_REQUEST;
+    case 401:
+      return ERROR_CODE.AUTH_FAILED;
+    case 403:
+      return ERROR_CODE.FORBIDDEN;
+    case 404:
+      return notFoundCode;
+    case 429:
+      return ERROR_CODE.RATE_LIMITED;
+    default:
+      return statusCode >= 500 ? ERROR_CODE.OKTA_SERVER_ERROR : ERROR_CODE.OKTA_ERROR;
+  }
+}
+
+/**
+ * Helper function to create an error with status code and error code
+ * @private
+ */
+function createError(message, statusCode, code) {
+  return new OktaActionError(message, { statusCode, code });
+}
+
+/**
+ * Helper function to read Okta's request ID, which support uses to find the call in the System Log
+ * @private
+ */
+function getRequestId(response) {
+  return response.headers?.get?.('x-okta-request-id') || undefined;
+}
+
+/**
+ * Helper function to build an error from a failed Okta response
+ * Uses Okta's errorSummary, or the OAuth error_description from the token endpoint, when the body carries one
+ * @private
+ */
+async function createResponseError(response, prefix, notFoundCode) {
+  let errorMessage = `${prefix}: HTTP ${response.status}`;
+  let oktaError = {};
+
+  try {
+    oktaError = await response.json();
+    const summary = oktaError.errorSummary || oktaError.error_description;
+    if (summary) {
+      errorMessage = `${prefix}: ${summary}`;
+    }
+  } catch {
+    // Response might not be JSON
+  }
+
+  return new OktaActionError(errorMessage, {
+    code: codeForStatus(response.status, notFoundCode),
+    statusCode: response.status,
+    oktaError,
+    requestId: getRequestId(response)
+  });
+}
+
+// Log levels in increasing order of severity; LOG_LEVEL picks the lowest one emitted
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never logged, whatever they contain
+const SENSITIVE_KEY_PATTERN = /authorization|token|secret|password|passwd|assertion|private[_-]?key|api[_-]?key|cookie|dpop/i;
+
+// Credentials embedded in free text, such as an Authorization value quoted in an error message
+const CREDENTIAL_PATTERN = /\b(SSWS|Bearer|Basic|DPoP)\s+[A-Za-z0-9._~+/=-]+/gi;
+
+// Shorter secret values are too likely to match ordinary text to be scrubbed by value
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Helper function to scrub credentials out of a string
+ * @private
+ */
+function redactString(value, secrets) {
+  let redacted = value.replace(CREDENTIAL_PATTERN, `$1 ${REDACTED}`);
+  for (const secret of secrets) {
+    redacted = redacted.split(secret).join(REDACTED);
+  }
+  return redacted;
+}
+
+/**
+ * Helper function to redact a value before it is logged
+ * Walks objects and arrays, drops sensitive keys and reduces errors to the fields worth logging
+ * @private
+ */
+function redact(value, secrets) {
+  if (typeof value === 'string') {
+    return redactString(value, secrets);
+  }
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      statusCode: value.statusCode,
+      requestId: value.requestId,
+      errorId: value.errorId
+    }, secrets);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, secrets));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item, secrets)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Helper function to create a structured logger
+ * Writes one JSON object per line, filtered by LOG_LEVEL and with every known secret redacted
+ * @private
+ */
+function createLogger(context) {
+  const configuredLevel = String(context?.environment?.LOG_LEVEL || process.env.LOG_LEVEL || 'info').toLowerCase();
+  const threshold = LOG_LEVELS[configuredLevel] ?? LOG_LEVELS.info;
+  const secrets = new Set();
+  const fields = {};
+
+  const logger = {
+    // Registers a credential obtained at runtime so it is scrubbed like a configured secret
+    addSecret(value) {
+      if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+        secrets.add(value);
+      }
+    },
+    // Adds fields to every line written after this call
+    bind(extraFields) {
+      Object.assign(fields, extraFields);
+    }
+  };
+
+  for (const [level, severity] of Object.entries(LOG_LEVELS)) {
+    logger[level] = (event, data = {}) => {
+      if (severity < threshold) {
+        return;
+      }
+      const entry = redact({ timestamp: new Date().toISOString(), level, event, ...fields, ...data }, secrets);
+      const line = redactString(JSON.stringify(entry), secrets);
+      if (severity >= LOG_LEVELS.warn) {
+        console.error(line);
+      } else {
+        console.log(line);
+      }
+    };
+  }
+
+  Object.values(context?.secrets || {}).forEach(value => logger.addSecret(value));
+
+  return logger;
+}
+
+/**
+ * Helper function to create the per-run Okta client
+ * Holds the base URL, org profile, headers, logger and DPoP key plus the retry budget and rate-limit state shared
+ * by every call
+ * @private
+ */
+function createClient(baseUrl, headers, logger, dpop, org) {
+  return {
+    baseUrl,
+    org,
+    headers,
+    logger,
+    dpop,
+    attempts: 0,
+    deadline: Date.now() + RUNTIME_BUDGET_MS,
+    rateLimitResetAt: 0
+  };
+}
+
+/**
+ * Helper function to wait for the given number of milliseconds
+ * @private
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Helper function to work out how long to wait before retrying
+ * Honors Retry-After, then X-Rate-Limit-Reset on 429s, then falls back to jittered exponential backoff
+ * @private
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = response?.headers?.get?.('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const retryAt = Date.parse(retryAfter);
+    if (!Number.isNaN(retryAt)) {
+      return Math.max(retryAt - Date.now(), 0);
+    }
+  }
+
+  const rateLimitReset = response?.headers?.get?.('x-rate-limit-reset');
+  if (response?.status === 429 && rateLimitReset) {
+    return Math.max(Number(rateLimitReset) * 1000 - Date.now(), 0);
+  }
+
+  const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+/**
+ * Helper function to remember when an exhausted rate-limit window resets
+ * @private
+ */
+function trackRateLimit(client, response) {
+  const remaining = response.headers?.get?.('x-rate-limit-remaining');
+  const reset = response.headers?.get?.('x-rate-limit-reset');
+
+  if (remaining === '0' && reset) {
+    client.rateLimitResetAt = Number(reset) * 1000;
+  }
+}
+
+/**
+ * Helper function to call the Okta API with retries
+ * Retries network errors and 429/502/503/504 responses while staying inside the runtime budget.
+ * When retries run out the last response is returned so callers report it as usual. A trace object, when given,
+ * records how many attempts the returned response took
+ * @private
+ */
+async function oktaRequest(client, url, { method = 'GET', userId, headers, body, trace } = {}) {
+  const path = new URL(url).pathname;
+
+  for (let attempt = 1; ; attempt++) {
+    // Don't spend a request on a rate-limit window we already know is exhausted
+    const rateLimitWait = client.rateLimitResetAt - Date.now();
+    if (rateLimitWait > 0) {
+      if (Date.now() + rateLimitWait > client.deadline) {
+        throw createError(`Okta rate limit exhausted until ${new Date(client.rateLimitResetAt).toISOString()}, beyond the runtime budget`, 429);
+      }
+      client.logger.warn('okta.rate_limit_wait', { message: 'Okta rate limit exhausted, waiting for the window to reset', waitMs: rateLimitWait });
+      await sleep(rateLimitWait);
+    }
+
+    client.attempts++;
+    if (trace) {
+      trace.attempts = attempt;
+    }
+
+    let response;
+    const startedAt = Date.now();
+    try {
+      const requestHeaders = headers ? { ...client.headers, ...headers } : client.headers;
+      response = await fetch(url, {
+        method,
+        // DPoP proofs are single-use, so every attempt gets a fresh one
+        headers: client.dpop ? { ...requestHeaders, 'DPoP': createDpopProof(client.dpop, method, url) } : requestHeaders,
+        ...(body !== undefined && { body: JSON.stringify(body) }),
+        // A request Okta never answers is cut off when the runtime budget runs out
+        signal: AbortSignal.timeout(Math.max(client.deadline - Date.now(), 1))
+      });
+    } catch (err) {
+      if (err.name === 'TimeoutError') {
+        const message = `Network error calling Okta: no response to ${method} ${path} within the runtime budget`;
+        throw new OktaActionError(message, { code: ERROR_CODE.NETWORK_ERROR, cause: err });
+      }
+      const delay = getRetryDelay(null, attempt);
+      if (attempt >= MAX_ATTEMPTS || Date.now() + delay > client.deadline) {
+        throw new OktaActionError(`Network error calling Okta: ${err.message}`, { code: ERROR_CODE.NETWORK_ERROR, cause: err });
+      }
+      client.logger.warn('okta.request_retry', { method, path, userId, error: err.message, attempt, delayMs: Math.round(delay) });
+      await sleep(delay);
+      continue;
+    }
+
+    trackRateLimit(client, response);
+    const nonceChanged = updateDpopNonce(client.dpop, response);
+    client.logger.info('okta.request', {
+      method,
+      path,
+      userId,
+      status: response.status,
+      requestId: getRequestId(response),
+      durationMs: Date.now() - startedAt,
+      attempt
+    });
+
+    // Okta answers use_dpop_nonce with a 401 carrying the nonce the next proof must include
+    if (response.status === 401 && nonceChanged && attempt < MAX_ATTEMPTS) {
+      continue;
+    }
+
+    if (!RETRYABLE_STATUS_CODES.includes(response.status) || attempt >= MAX_ATTEMPTS) {
+      return response;
+    }
+
+    const delay = getRetryDelay(response, attempt);
+    if (Date.now() + delay > client.deadline) {
+      return response;
+    }
+
+    client.logger.warn('okta.request_retry', { method, path, userId, status: response.status, attempt, delayMs: Math.round(delay) });
+    await sleep(delay);
+  }
+}
+
+/**
+ * Helper function to encode a JWT segment
+ * @private
+ */
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Helper function to sign a compact JWS
+ * @private
+ */
+function signJwt(header, payload, key) {
+  const signingInput = `${base64UrlJson(header)}.${base64UrlJson(payload)}`;
+
+  // JWS wants the raw r||s form of ECDSA signatures, not DER
+  const signature = sign('sha256', Buffer.from(signingInput), header.alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Helper function to pick the JWS algorithm for a private key
+ * Okta service apps accept RSA keys (RS256) and P-256 EC keys (ES256)
+ * @private
+ */
+function getSigningAlgorithm(key) {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  const curve = key.asymmetricKeyDetails?.namedCurve;
+  throw createError(`Unsupported private key type ${key.asymmetricKeyType}${curve ? ` (${curve})` : ''}: use an RSA or P-256 EC key`, 400, ERROR_CODE.INVALID_INPUT);
+}
+
+/**
+ * Helper function to sign a client assertion JWT for the private_key_jwt token request
+ * @private
+ */
+function createClientAssertion({ privateKey, keyId, clientId, tokenUrl }) {
+  let key;
+  try {
+    key = createPrivateKey(privateKey);
+  } catch (err) {
+    throw new OktaActionError(`Invalid OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY: ${err.message}`, { code: ERROR_CODE.INVALID_INPUT, statusCode: 400, cause: err });
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  return signJwt({ alg: getSigningAlgorithm(key), kid: keyId, typ: 'JWT' }, {
+    iss: clientId,
+    sub: clientId,
+    aud: tokenUrl,
+    iat: issuedAt,
+    exp: issuedAt + CLIENT_ASSERTION_LIFETIME_SECONDS,
+    jti: randomUUID()
+  }, key);
+}
+
+/**
+ * Helper function to create the ephemeral key pair that binds this run's access token with DPoP
+ * The key only lives in memory for one run, so a leaked token is useless without it
+ * @private
+ */
+function createDpopKey() {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+
+  return { privateKey, jwk: { kty, crv, x, y }, nonce: undefined, accessToken: undefined };
+}
+
+/**
+ * Helper function to create a DPoP proof for one request
+ * Once the run has an access token the proof also carries its hash (ath), as resource requests require
+ * @private
+ */
+function createDpopProof(dpop, method, url) {
+  const { origin, pathname } = new URL(url);
+  const payload = {
+    htm: method,
+    htu: `${origin}${pathname}`,
+    iat: Math.floor(Date.now() / 1000),
+    jti: randomUUID()
+  };
+  if (dpop.nonce) {
+    payload.nonce = dpop.nonce;
+  }
+  if (dpop.accessToken) {
+    payload.ath = createHash('sha256').update(dpop.accessToken).digest('base64url');
+  }
+
+  return signJwt({ typ: 'dpop+jwt', alg: 'ES256', jwk: dpop.jwk }, payload, dpop.privateKey);
+}
+
+/**
+ * Helper function to remember the DPoP nonce Okta sent, for use in the next proof
+ * Returns whether the nonce changed, which is how Okta asks for a retry with use_dpop_nonce
+ * @private
+ */
+function updateDpopNonce(dpop, response) {
+  const nonce = response.headers?.get?.('dpop-nonce');
+  if (!dpop || !nonce || nonce === dpop.nonce) {
+    return false;
+  }
+
+  dpop.nonce = nonce;
+  return true;
+}
+
+/**
+ * Helper function to request an access token from an Okta authorization server
+ * With DPoP, sends a proof and retries once when Okta answers use_dpop_nonce
+ * @private
+ */
+async function requestAccessToken(tokenUrl, form, { headers = {}, clientId, dpop, logger }) {
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    const startedAt = Date.now();
+    try {
+      response = await fetch(tokenUrl, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'User-Agent': SGNL_USER_AGENT,
+          ...headers,
+          ...(dpop && { 'DPoP': createDpopProof(dpop, 'POST', tokenUrl) })
+        },
+        body: new URLSearchParams(form).toString()
+      });
+    } catch (err) {
+      throw new OktaActionError(`Network error getting Okta access token: ${err.message}`, { code: ERROR_CODE.NETWORK_ERROR, cause: err });
+    }
+
+    const nonceChanged = updateDpopNonce(dpop, response);
+    logger.info('okta.token', {
+      method: 'POST',
+      path: new URL(tokenUrl).pathname,
+      clientId,
+      scope: form.scope,
+      senderConstrained: Boolean(dpop),
+      status: response.status,
+      requestId: getRequestId(response),
+      durationMs: Date.now() - startedAt,
+      attempt
+    });
+
+    // The authorization server asks for a nonce by failing the first request with one attached
+    if (response.status === 400 && nonceChanged && attempt === 1) {
+      continue;
+    }
+
+    if (!response.ok) {
+      throw await createResponseError(response, 'Failed to get Okta access token');
+    }
+
+    let tokenData;
+    try {
+      tokenData = await response.json();
+    } catch {
+      tokenData = {};
+    }
+    if (!tokenData.access_token) {
+      throw createError('Okta token response did not include an access_token', 500, ERROR_CODE.INVALID_RESPONSE);
+    }
+
+    if (dpop) {
+      dpop.accessToken = tokenData.access_token;
+    }
+    return {
+      authorization: `${tokenData.token_type || (dpop ? 'DPoP' : 'Bearer')} ${tokenData.access_token}`,
+      expiresIn: Number(tokenData.expires_in)
+    };
+  }
+}
+
+/**
+ * Helper function to get an OAuth2 Authorization header, reusing a cached token while it is still valid
+ * Tokens are cached per token URL, client ID and scope for the life of the process. DPoP-bound tokens are
+ * never cached, as they only work with the run's own key
+ * @private
+ */
+async function getAccessToken({ tokenUrl, clientId, scope, dpop, logger }, mint) {
+  if (dpop) {
+    return (await mint()).authorization;
+  }
+
+  const cacheKey = JSON.stringify([tokenUrl, clientId, scope || '']);
+  const cached = tokenCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    logger.debug('okta.token_cached', { clientId, scope, expiresInMs: cached.expiresAt - Date.now() });
+    return cached.authorization;
+  }
+  tokenCache.delete(cacheKey);
+
+  const { authorization, expiresIn } = await mint();
+  const expiresAt = Date.now() + expiresIn * 1000 - TOKEN_EXPIRY_MARGIN_MS;
+  if (expiresAt > Date.now()) {
+    tokenCache.set(cacheKey, { authorization, expiresAt });
+  }
+
+  return authorization;
+}
+
+/**
+ * Helper function to get an Authorization header for an Okta service app using private_key_jwt
+ * Signs a client assertion and exchanges it for an access token at the org authorization server
+ * @private
+ */
+async function getPrivateKeyJwtAuthorization(baseUrl, context, logger, dpop) {
+  const environment = context.environment || {};
+  const clientId = environment.OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID;
+  const keyId = environment.OAUTH2_PRIVATE_KEY_JWT_KEY_ID;
+  if (!clientId || !keyId) {
+    throw createError('Private key JWT auth requires OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID and OAUTH2_PRIVATE_KEY_JWT_KEY_ID', 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  const tokenUrl = `${baseUrl}/oauth2/v1/token`;
+  const scope = environment.OAUTH2_PRIVATE_KEY_JWT_SCOPE || PRIVATE_KEY_JWT_DEFAULT_SCOPE;
+
+  return getAccessToken({ tokenUrl, clientId, scope, dpop, logger }, () => requestAccessToken(tokenUrl, {
+    grant_type: 'client_credentials',
+    scope,
+    client_assertion_type: CLIENT_ASSERTION_TYPE,
+    client_assertion: createClientAssertion({
+      privateKey: context.secrets.OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY,
+      keyId,
+      clientId,
+      tokenUrl
+    })
+  }, { clientId, dpop, logger }));
+}
+
+/**
+ * Helper function to get an Authorization header using the OAuth2 client credentials settings
+ * Follows the shared client credentials flow, adding token caching and DPoP proofs
+ * @private
+ */
+async function getClientCredentialsAuthorization(context, logger, dpop) {
+  const environment = context.environment || {};
+  const tokenUrl = environment.OAUTH2_CLIENT_CREDENTIALS_TOKEN_URL;
+  const clientId = environment.OAUTH2_CLIENT_CREDENTIALS_CLIENT_ID;
+  if (!tokenUrl || !clientId) {
+    throw createError('OAuth2 client credentials auth requires OAUTH2_CLIENT_CREDENTIALS_TOKEN_URL and OAUTH2_CLIENT_CREDENTIALS_CLIENT_ID', 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  const clientSecret = context.secrets.OAUTH2_CLIENT_CREDENTIALS_CLIENT_SECRET;
+  const scope = environment.OAUTH2_CLIENT_CREDENTIALS_SCOPE;
+  const form = { grant_type: 'client_credentials' };
+  const headers = {};
+  if (scope) {
+    form.scope = scope;
+  }
+  if (environment.OAUTH2_CLIENT_CREDENTIALS_AUDIENCE) {
+    form.audience = environment.OAUTH2_CLIENT_CREDENTIALS_AUDIENCE;
+  }
+  if (environment.OAUTH2_CLIENT_CREDENTIALS_AUTH_STYLE === 'InParams') {
+    form.client_id = clientId;
+    form.client_secret = clientSecret;
+  } else {
+    headers['Authorization'] = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+  }
+
+  return getAccessToken({ tokenUrl, clientId, scope, dpop, logger }, () =>
+    requestAccessToken(tokenUrl, form, { headers, clientId, dpop, logger }));
+}
+
+/**
+ * Helper function to build the Authorization header for BEARER_AUTH_TOKEN
+ * The secret can hold an Okta API token (SSWS) or an OAuth access token (Bearer). BEARER_AUTH_SCHEME picks
+ * the scheme; auto honors an explicit SSWS or Bearer prefix on the secret, then treats JWTs as Bearer tokens
+ * @private
+ */
+function getBearerAuthorization(secret, environment) {
+  const scheme = String(environment.BEARER_AUTH_SCHEME || BEARER_AUTH_SCHEME.AUTO).toLowerCase();
+  if (!Object.values(BEARER_AUTH_SCHEME).includes(scheme)) {
+    throw createError(`Invalid BEARER_AUTH_SCHEME: ${environment.BEARER_AUTH_SCHEME}. Use SSWS, Bearer or auto`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  const [, prefix, token] = secret.match(/^(?:(SSWS|Bearer)\s+)?(.*)$/is);
+  if (scheme === BEARER_AUTH_SCHEME.SSWS) {
+    return `SSWS ${token}`;
+  }
+  if (scheme === BEARER_AUTH_SCHEME.BEARER) {
+    return `Bearer ${token}`;
+  }
+
+  if (prefix) {
+    return `${prefix.toLowerCase() === 'ssws' ? 'SSWS' : 'Bearer'} ${token}`;
+  }
+  return `${JWT_PATTERN.test(token) ? 'Bearer' : 'SSWS'} ${token}`;
+}
+
+/**
+ * Helper function to build the Okta request headers for the configured auth mode
+ * Static credentials (API token, basic auth, authorization code token) take precedence, then OAuth2
+ * client credentials, then private_key_jwt. OAUTH2_DPOP only applies to the two OAuth2 flows
+ * @private
+ */
+async function createAuthHeaders(baseUrl, context, logger, dpop) {
+  const secrets = context.secrets || {};
+  const environment = context.environment || {};
+  const hasStaticCredential = secrets.BEARER_AUTH_TOKEN ||
+    (secrets.BASIC_USERNAME && secrets.BASIC_PASSWORD) ||
+    secrets.OAUTH2_AUTHORIZATION_CODE_ACCESS_TOKEN;
+
+  if (hasStaticCredential && !dpop) {
+    // Get headers using utility function
+    const headers = await createHeaders(context);
+    if (secrets.BEARER_AUTH_TOKEN) {
+      headers['Authorization'] = getBearerAuthorization(secrets.BEARER_AUTH_TOKEN, environment);
+    }
+    return headers;
+  }
+
+  const headers = {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json',
+    'User-Agent': SGNL_USER_AGENT
+  };
+  if (secrets.OAUTH2_CLIENT_CREDENTIALS_CLIENT_SECRET) {
+    headers['Authorization'] = await getClientCredentialsAuthorization(context, logger, dpop);
+  } else if (secrets.OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY) {
+    headers['Authorization'] = await getPrivateKeyJwtAuthorization(baseUrl, context, logger, dpop);
+  } else if (dpop) {
+    throw createError('OAUTH2_DPOP requires OAuth2 client credentials or private key JWT auth', 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  return headers;
+}
+
+/**
+ * Helper function to build the context for the org profile named by params.org
+ * The profile's ORG_<KEY>_ settings replace the defaults. Its address and credentials never fall back to the
+ * default org's, so one org's secrets are not sent to another org
+ * @private
+ */
+function getOrgContext(params, context) {
+  if (!params.org) {
+    return { org: undefined, orgContext: context };
+  }
+
+  const org = String(params.org).trim();
+  if (!ORG_KEY_PATTERN.test(org)) {
+    throw createError(`Invalid org: ${params.org}. Use letters, digits, hyphens and underscores`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+  if (params.address) {
+    throw createError('Provide either org or address, not both', 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  const prefix = `ORG_${org.toUpperCase().replace(/-/g, '_')}_`;
+  const scope = values => Object.fromEntries([
+    ...Object.entries(values || {}).filter(([key]) => !key.startsWith('ORG_') && !ORG_PROFILE_KEY_PATTERN.test(key)),
+    ...Object.entries(values || {}).filter(([key]) => key.startsWith(prefix)).map(([key, value]) => [key.slice(prefix.length), value])
+  ]);
+  const orgContext = { ...context, environment: scope(context.environment), secrets: scope(context.secrets) };
+
+  if (!orgContext.environment.ADDRESS) {
+    throw createError(`Org profile "${org}" not found: set ${prefix}ADDRESS and the org's credentials`, 400, ERROR_CODE.ORG_NOT_FOUND);
+  }
+  if (!Object.keys(orgContext.secrets).some(key => ORG_PROFILE_KEY_PATTERN.test(key))) {
+    throw createError(`Org profile "${org}" has no credentials: set ${prefix}BEARER_AUTH_TOKEN or the secrets of another auth mode`, 400, ERROR_CODE.ORG_NOT_FOUND);
+  }
+
+  return { org, orgContext };
+}
+
+/**
+ * Helper function to validate the Okta address and reduce it to the org URL
+ * Requires https, drops a trailing /api/v1 or admin console page, maps -admin hosts to the org host and,
+ * when OKTA_ALLOWED_DOMAINS is set, refuses hosts it doesn't list. Runs before any credential is sent
+ * @private
+ */
+function normalizeAddress(address, context, logger) {
+  let url;
+  try {
+    url = new URL(address);
+  } catch {
+    throw createError(`Invalid Okta address: ${address}`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  if (url.protocol !== 'https:') {
+    throw createError(`Okta address must use https: ${address}`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+  // Not echoed, as the address may carry a password
+  if (url.username || url.password || url.search || url.hash) {
+    throw createError('Okta address must not include credentials, a query or a fragment', 400, ERROR_CODE.INVALID_INPUT);
+  }
+  if (!ADDRESS_PATH_PATTERN.test(url.pathname)) {
+    throw createError(`Okta address must be the org URL without a path: ${address}`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  const hostname = url.hostname.replace(OKTA_ADMIN_HOST_PATTERN, '$1.$2');
+  const allowedDomains = context.environment?.OKTA_ALLOWED_DOMAINS ? parseIdList(context.environment.OKTA_ALLOWED_DOMAINS) : [];
+  if (allowedDomains.length > 0 && !allowedDomains.some(domain => globToRegExp(domain).test(hostname))) {
+    throw createError(`Okta address host ${hostname} is not in OKTA_ALLOWED_DOMAINS`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  const normalized = `https://${hostname}${url.port ? `:${url.port}` : ''}`;
+  if (normalized !== address) {
+    logger.info('address.normalized', { address, normalized });
+  }
+
+  return normalized;
+}
+
+/**
+ * Helper function to build an Okta search expression value
+ * Escapes backslashes and double quotes so the value stays inside its string literal
+ * @private
+ */
+function quoteSearchValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Helper function to determine which identifier the caller supplied
+ * Precedence is userId, then login, then email, then an arbitrary profile attribute
+ * @private
+ */
+function getIdentifier(params) {
+  if (params.userId) {
+    return { type: 'id', value: params.userId };
+  }
+  if (params.login) {
+    return { type: 'login', value: params.login, attribute: 'login' };
+  }
+  if (params.email) {
+    return { type: 'email', value: params.email, attribute: 'email' };
+  }
+  if (params.profileAttribute && params.profileAttributeValue) {
+    return { type: params.profileAttribute, value: params.profileAttributeValue, attribute: params.profileAttribute };
+  }
+
+  throw createError('No user identifier provided. Provide userId, login, email, or profileAttribute with profileAttributeValue', 400, ERROR_CODE.INVALID_INPUT);
+}
+
+/**
+ * Helper function to describe the requested user for log messages
+ * @private
+ */
+function describeUser(params) {
+  if (params.groupId || params.groupName) {
+    return `members of group ${params.groupId || params.groupName}`;
+  }
+  if (!params.userId && params.userIds) {
+    return 'bulk user list';
+  }
+  return params.userId || params.login || params.email || params.profileAttributeValue;
+}
+
+/**
+ * Helper function to search for users matching a profile attribute
+ * @private
+ */
+async function searchUsers(attribute, value, client) {
+  const search = `profile.${attribute} eq ${quoteSearchValue(value)}`;
+
+  // Two results are enough to tell a unique match from an ambiguous one
+  const url = `${client.baseUrl}/api/v1/users?search=${encodeURIComponent(search)}&limit=2`;
+
+  const response = await oktaRequest(client, url, { method: 'GET' });
+
+  return response;
+}
+
+/**
+ * Helper function to resolve the caller's identifier to exactly one Okta user ID
+ * @private
+ */
+async function resolveUser(params, client) {
+  const identifier = getIdentifier(params);
+
+  if (identifier.type === 'id') {
+    return { userId: identifier.value, identifierType: identifier.type, identifier: identifier.value };
+  }
+
+  if (!PROFILE_ATTRIBUTE_PATTERN.test(identifier.attribute)) {
+    throw createError(`Invalid profile attribute name: ${identifier.attribute}`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  const searchResponse = await searchUsers(identifier.attribute, identifier.value, client);
+
+  if (!searchResponse.ok) {
+    throw await createResponseError(searchResponse, `Failed to look up user by ${identifier.type}`);
+  }
+
+  let users;
+  try {
+    users = await searchResponse.json();
+  } catch (err) {
+    throw createError(`Cannot parse user search results: ${err.message}`, 500, ERROR_CODE.INVALID_RESPONSE);
+  }
+
+  if (!Array.isArray(users) || users.length === 0) {
+    throw createError(`No Okta user found with ${identifier.type} "${identifier.value}"`, 404);
+  }
+
+  if (users.length > 1) {
+    throw createError(`Multiple Okta users found with ${identifier.type} "${identifier.value}". Use a unique identifier`, 409, ERROR_CODE.AMBIGUOUS_IDENTIFIER);
+  }
+
+  client.logger.info('user.resolved', { userId: users[0].id, identifierType: identifier.type });
+  return { userId: users[0].id, identifierType: identifier.type, identifier: identifier.value };
+}
+
+/**
+ * Helper function to search for groups by name
+ * @private
+ */
+async function searchGroups(groupName, client) {
+  const search = `profile.name eq ${quoteSearchValue(groupName)}`;
+
+  // Two results are enough to tell a unique match from an ambiguous one
+  const url = `${client.baseUrl}/api/v1/groups?search=${encodeURIComponent(search)}&limit=2`;
+
+  const response = await oktaRequest(client, url, { method: 'GET' });
+
+  return response;
+}
+
+/**
+ * Helper function to resolve a group ID or exact group name to a group
+ * @private
+ */
+async function resolveGroup(params, client) {
+  if (params.groupId) {
+    return { groupId: params.groupId, groupName: params.groupName };
+  }
+
+  const searchResponse = await searchGroups(params.groupName, client);
+
+  if (!searchResponse.ok) {
+    throw await createResponseError(searchResponse, 'Failed to look up group', ERROR_CODE.GROUP_NOT_FOUND);
+  }
+
+  let groups;
+  try {
+    groups = await searchResponse.json();
+  } catch (err) {
+    throw createError(`Cannot parse group search results: ${err.message}`, 500, ERROR_CODE.INVALID_RESPONSE);
+  }
+
+  if (!Array.isArray(groups) || groups.length === 0) {
+    throw createError(`No Okta group found with name "${params.groupName}"`, 404, ERROR_CODE.GROUP_NOT_FOUND);
+  }
+
+  if (groups.length > 1) {
+    throw createError(`Multiple Okta groups found with name "${params.groupName}". Use groupId instead`, 409, ERROR_CODE.AMBIGUOUS_IDENTIFIER);
+  }
+
+  return { groupId: groups[0].id, groupName: groups[0].profile?.name || params.groupName };
+}
+
+/**
+ * Helper function to extract the rel="next" URL from an Okta Link header
+ * @private
+ */
+function getNextLink(response) {
+  const linkHeader = response.headers?.get?.('link');
+  if (!linkHeader) {
+    return null;
+  }
+
+  for (const link of linkHeader.split(',')) {
+    const match = link.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Helper function to read every page of an Okta list, following Link header pagination
+ * @private
+ */
+async function listAllPages(url, client, { errorPrefix, notFoundCode, description, userId }) {
+  const items = [];
+
+  while (url) {
+    const response = await oktaRequest(client, url, { method: 'GET', userId });
+
+    if (!response.ok) {
+      throw await createResponseError(response, errorPrefix, notFoundCode);
+    }
+
+    let page;
+    try {
+      page = await response.json();
+    } catch (err) {
+      throw createError(`Cannot parse ${description}: ${err.message}`, 500, ERROR_CODE.INVALID_RESPONSE);
+    }
+
+    items.push(...page);
+    url = getNextLink(response);
+
+    // Never send credentials to a host other than the configured Okta org
+    if (url && new URL(url).origin !== new URL(client.baseUrl).origin) {
+      throw createError(`Refusing to follow pagination link to a different host: ${new URL(url).origin}`, 502, ERROR_CODE.INVALID_RESPONSE);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Helper function to list every member of a group
+ * @private
+ */
+async function listGroupMembers(groupId, client) {
+  const url = `${client.baseUrl}/api/v1/groups/${encodeURIComponent(groupId)}/users?limit=${GROUP_PAGE_SIZE}`;
+
+  return listAllPages(url, client, {
+    errorPrefix: `Failed to list members of group ${groupId}`,
+    notFoundCode: ERROR_CODE.GROUP_NOT_FOUND,
+    description: 'group members'
+  });
+}
+
+/**
+ * Helper function to list every group a user belongs to
+ * @private
+ */
+async function listUserGroups(userId, client) {
+  const url = `${client.baseUrl}/api/v1/users/${encodeURIComponent(userId)}/groups?limit=${GROUP_PAGE_SIZE}`;
+
+  return listAllPages(url, client, {
+    errorPrefix: `Failed to list groups of user ${userId}`,
+    description: 'user groups',
+    userId
+  });
+}
+
+/**
+ * Helper function to perform user unsuspension
+ * @private
+ */
+async function unsuspendUser(userId, client, headers, trace) {
+  // Safely encode userId to prevent injection
+  const encodedUserId = encodeURIComponent(userId);
+
+  // Build URL using base URL (already cleaned by getBaseUrl)
+  const url = `${client.baseUrl}/api/v1/users/${encodedUserId}/lifecycle/unsuspend`;
+
+  const response = await oktaRequest(client, url, { method: 'POST', userId, headers, trace });
+
+  return response;
+}
+
+/**
+ * Helper function to perform user suspension
+ * @private
+ */
+async function suspendUser(userId, client) {
+  // Safely encode userId to prevent injection
+  const encodedUserId = encodeURIComponent(userId);
+
+  const url = `${client.baseUrl}/api/v1/users/${encodedUserId}/lifecycle/suspend`;
+
+  const response = await oktaRequest(client, url, { method: 'POST', userId });
+
+  return response;
+}
+
+/**
+ * Helper function to get user details
+ * @private
+ */
+async function getUser(userId, client) {
+  // Safely encode userId to prevent injection
+  const encodedUserId = encodeURIComponent(userId);
+
+  // Build URL using base URL (already cleaned by getBaseUrl)
+  const url = `${client.baseUrl}/api/v1/users/${encodedUserId}`;
+
+  const response = await oktaRequest(client, url, { method: 'GET', userId });
+
+  return response;
+}
+
+/**
+ * Helper function to partially update a user's profile
+ * Okta's POST form only changes the attributes given and leaves the rest of the profile alone
+ * @private
+ */
+async function updateUserProfile(userId, profile, client) {
+  // Safely encode userId to prevent injection
+  const encodedUserId = encodeURIComponent(userId);
+
+  const url = `${client.baseUrl}/api/v1/users/${encodedUserId}`;
+
+  const response = await oktaRequest(client, url, { method: 'POST', userId, body: { profile } });
+
+  return response;
+}
+
+/**
+ * Helper function to fetch and parse a user
+ * Returns the user along with Okta's request ID for the read
+ * @private
+ */
+async function fetchUser(userId, client) {
+  const getUserResponse = await getUser(userId, client);
+  if (!getUserResponse.ok) {
+    throw await createResponseError(getUserResponse, 'Cannot fetch information about User');
+  }
+
+  const requestId = getRequestId(getUserResponse);
+  try {
+    return { userData: await getUserResponse.json(), requestId };
+  } catch (err) {
+    throw createError(`Cannot parse user data: ${err.message}`, 500, ERROR_CODE.INVALID_RESPONSE);
+  }
+}
+
+/**
+ * Helper function to decide what unsuspending a user in the given status would do
+ * @private
+ */
+function buildPlan(userId, userStatus) {
+  if (userStatus === USER_STATUS.ACTIVE) {
+    return {
+      action: PLAN_ACTION.NONE,
+      eligible: true,
+      description: `User ${userId} is already ACTIVE. Nothing would change`
+    };
+  }
+
+  if (userStatus === USER_STATUS.SUSPENDED) {
+    return {
+      action: PLAN_ACTION.UNSUSPEND,
+      eligible: true,
+      description: `Would unsuspend user ${userId} (currently SUSPENDED)`
+    };
+  }
+
+  const reason = INELIGIBLE_STATUS_REASONS[userStatus] || 'is not SUSPENDED';
+  return {
+    action: PLAN_ACTION.REFUSE,
+    eligible: false,
+    description: `Would not unsuspend user ${userId}: not eligible because user is ${userStatus} and ${reason}`
+  };
+}
+
+/**
+ * Helper function to read the approval settings
+ * APPROVER_GROUP_ID and REQUIRE_APPROVAL in the environment apply to every run and can't be relaxed by inputs.
+ * The approver group only comes from the environment, so a caller can't name a group they control
+ * @private
+ */
+function getApproval(params, context) {
+  const environment = context.environment || {};
+  const approvedBy = readText(params.approvedBy);
+  const approverGroupId = readText(environment.APPROVER_GROUP_ID);
+  const required = Boolean(approverGroupId) || parseBoolean(environment.REQUIRE_APPROVAL) || parseBoolean(params.requireApproval);
+
+  if (required && !approvedBy) {
+    throw createError('This unsuspension requires approval. Provide approvedBy', 400, ERROR_CODE.APPROVAL_REQUIRED);
+  }
+
+  return { approvedBy, approverGroupId };
+}
+
+/**
+ * Helper function to resolve and vet the approver before any user is touched
+ * The approver must be an ACTIVE Okta user and, when an approver group is configured, a member of it
+ * @private
+ */
+async function resolveApprover(approval, client) {
+  const { approvedBy, approverGroupId } = approval;
+  if (!approvedBy) {
+    return undefined;
+  }
+
+  // GET /api/v1/users/{id} also accepts a login
+  const response = await getUser(approvedBy, client);
+  if (response.status === 404) {
+    throw createError(`Approver ${approvedBy} is not an Okta user`, 403, ERROR_CODE.APPROVER_NOT_ELIGIBLE);
+  }
+  if (!response.ok) {
+    throw await createResponseError(response, 'Cannot fetch information about approver');
+  }
+
+  let approver;
+  try {
+    approver = await response.json();
+  } catch (err) {
+    throw createError(`Cannot parse approver data: ${err.message}`, 500, ERROR_CODE.INVALID_RESPONSE);
+  }
+
+  if (approver.status !== USER_STATUS.ACTIVE) {
+    throw createError(`Approver ${approvedBy} is ${approver.status}, not ACTIVE`, 403, ERROR_CODE.APPROVER_NOT_ELIGIBLE);
+  }
+
+  if (approverGroupId) {
+    const groups = await listUserGroups(approver.id, client);
+    if (!groups.some(group => group.id === approverGroupId)) {
+      throw createError(`Approver ${approvedBy} is not a member of approver group ${approverGroupId}`, 403, ERROR_CODE.APPROVER_NOT_ELIGIBLE);
+    }
+  }
+
+  client.logger.info('approval.approver_verified', { approverId: approver.id, approverGroupId });
+  return { approvedBy, approverId: approver.id };
+}
+
+/**
+ * Helper function to turn a pattern such as *@svc.example.com or *.okta.com into a case-insensitive regular expression
+ * Only * (any run of characters) and ? (one character) are special
+ * @private
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Helper function to read the protected-account deny list from the environment
+ * Every list is comma or newline separated. PROTECTED_PROFILE_ATTRIBUTES entries are attribute=value pairs
+ * @private
+ */
+function getDenyList(context) {
+  const environment = context.environment || {};
+  const readList = name => (environment[name] ? parseIdList(environment[name]) : []);
+
+  const profileAttributes = readList('PROTECTED_PROFILE_ATTRIBUTES').map(entry => {
+    const separator = entry.indexOf('=');
+    const attribute = entry.slice(0, separator).trim();
+    if (separator < 1 || !PROFILE_ATTRIBUTE_PATTERN.test(attribute)) {
+      throw createError(`Invalid PROTECTED_PROFILE_ATTRIBUTES entry "${entry}". Expected attribute=value`, 400, ERROR_CODE.INVALID_INPUT);
+    }
+    return { attribute, value: entry.slice(separator + 1).trim() };
+  });
+
+  return {
+    userIds: readList('PROTECTED_USER_IDS'),
+    logins: readList('PROTECTED_LOGINS').map(login => login.toLowerCase()),
+    loginPatterns: readList('PROTECTED_LOGIN_PATTERNS').map(pattern => ({ pattern, regExp: globToRegExp(pattern) })),
+    groupIds: readList('PROTECTED_GROUP_IDS'),
+    profileAttributes
+  };
+}
+
+/**
+ * Helper function to find the deny list rule, if any, that protects a user
+ * Group membership is only read from Okta when PROTECTED_GROUP_IDS is configured. IDs are compared with the ID Okta
+ * returned, as the userId input may be a login that Okta resolves to the same user
+ * @private
+ */
+async function findProtectionRule(userId, userData, client, denyList) {
+  const login = userData.profile?.login;
+  const oktaId = userData.id || userId;
+
+  const protectedId = [oktaId, userId].find(id => denyList.userIds.includes(id));
+  if (protectedId) {
+    return `user ID ${protectedId} is protected`;
+  }
+
+  if (login && denyList.logins.includes(login.toLowerCase())) {
+    return `login ${login} is protected`;
+  }
+
+  const loginPattern = login && denyList.loginPatterns.find(({ regExp }) => regExp.test(login));
+  if (loginPattern) {
+    return `login ${login} matches protected pattern ${loginPattern.pattern}`;
+  }
+
+  const profileMatch = denyList.profileAttributes.find(({ attribute, value }) =>
+    userData.profile?.[attribute] !== undefined && String(userData.profile[attribute]).toLowerCase() === value.toLowerCase());
+  if (profileMatch) {
+    return `${profileMatch.attribute} is ${userData.profile[profileMatch.attribute]}`;
+  }
+
+  if (denyList.groupIds.length > 0) {
+    const groups = await listUserGroups(oktaId, client);
+    const protectedGroup = groups.find(group => denyList.groupIds.includes(group.id));
+    if (protectedGroup) {
+      return `member of protected group ${protectedGroup.profile?.name || protectedGroup.id}`;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Helper function to refuse to touch a protected account, whatever the inputs say
+ * @private
+ */
+async function assertNotProtected(userId, userData, client, denyList) {
+  const rule = await findProtectionRule(userId, userData, client, denyList);
+  if (rule) {
+    client.logger.warn('unsuspend.protected_account', { userId, message: rule });
+    throw createError(`User ${userId} is a protected account and cannot be unsuspended by automation: ${rule}`, 403, ERROR_CODE.PROTECTED_ACCOUNT);
+  }
+}
+
+/**
+ * Helper function to resolve a precondition date, where "now" means the time of the check
+ * @private
+ */
+function preconditionTime(value) {
+  return String(value).toLowerCase() === 'now' ? Date.now() : Date.parse(value);
+}
+
+/**
+ * Helper function to evaluate one precondition against the user's profile
+ * Returns why the condition failed, or undefined when it holds
+ * @private
+ */
+function checkPrecondition({ attribute, operator, value }, profile) {
+  const actual = profile?.[attribute];
+  const isSet = actual !== undefined && actual !== null && actual !== '';
+
+  switch (operator) {
+    case 'present':
+      return isSet ? undefined : `${attribute} is not set`;
+    case 'absent':
+      return isSet ? `${attribute} is set to ${JSON.stringify(actual)}` : undefined;
+    case 'equals':
+      if (!isSet) {
+        return `${attribute} is not set, expected ${JSON.stringify(value)}`;
+      }
+      return String(actual) === String(value) ? undefined : `${attribute} is ${JSON.stringify(actual)}, expected ${JSON.stringify(value)}`;
+    case 'not-equals':
+      return isSet && String(actual) === String(value) ? `${attribute} is ${JSON.stringify(actual)}` : undefined;
+    default: {
+      if (!isSet) {
+        return `${attribute} is not set`;
+      }
+      const actualTime = Date.parse(actual);
+      if (Number.isNaN(actualTime)) {
+        return `${attribute} is not a date: ${JSON.stringify(actual)}`;
+      }
+      const before = operator === 'date-before';
+      const holds = before ? actualTime < preconditionTime(value) : actualTime > preconditionTime(value);
+      return holds ? undefined : `${attribute} ${actual} is not ${before ? 'before' : 'after'} ${value}`;
+    }
+  }
+}
+
+/**
+ * Helper function to refuse the unsuspension unless every profile precondition holds
+ * The error lists each failed condition, both in its message and as failedConditions
+ * @private
+ */
+function assertPreconditions(userId, userData, client, preconditions) {
+  const failedConditions = preconditions
+    .map(condition => ({ ...condition, reason: checkPrecondition(condition, userData.profile) }))
+    .filter(condition => condition.reason);
+
+  if (failedConditions.length > 0) {
+    const error = createError(
+      `User ${userId} does not meet the unsuspend preconditions: ${failedConditions.map(condition => condition.reason).join('; ')}`,
+      400,
+      ERROR_CODE.PRECONDITION_FAILED
+    );
+    error.failedConditions = failedConditions;
+    client.logger.warn('unsuspend.precondition_failed', { userId, failedConditions });
+    throw error;
+  }
+}
+
+/**
+ * Helper function to refuse an unsuspension approved by the user being unsuspended
+ * Compares the approver with the ID Okta returned for the target, as the userId input may be a login
+ * @private
+ */
+function assertNotSelfApproval(userId, userData, approver) {
+  if (approver && approver.approverId === (userData.id || userId)) {
+    throw createError(`User ${userId} cannot approve their own unsuspension`, 403, ERROR_CODE.SELF_APPROVAL);
+  }
+}
+
+/**
+ * Helper function to pick the user fields reported in the outputs
+ * Saves downstream steps their own Okta call for the login, email and name. Extra profile attributes are
+ * only echoed when listed in includeProfileAttributes
+ * @private
+ */
+function buildUserSnapshot(userData, profileAttributes) {
+  const profile = userData.profile || {};
+  const snapshot = {
+    login: profile.login,
+    email: profile.email,
+    displayName: profile.displayName || [profile.firstName, profile.lastName].filter(Boolean).join(' ') || undefined,
+    lastLogin: userData.lastLogin,
+    statusChanged: userData.statusChanged,
+    transitioningToStatus: userData.transitioningToStatus
+  };
+
+  if (profileAttributes.length > 0) {
+    snapshot.profile = Object.fromEntries(profileAttributes
+      .filter(attribute => profile[attribute] !== undefined)
+      .map(attribute => [attribute, profile[attribute]]));
+  }
+
+  return snapshot;
+}
+
+/**
+ * Helper function to read a user and plan the unsuspension without changing anything
+ * The read also proves the configured credentials can reach the user
+ * @private
+ */
+async function planUnsuspend(userId, client, options) {
+  const { userData, requestId } = await fetchUser(userId, client);
+  assertNotSelfApproval(userId, userData, options.approver);
+  await assertNotProtected(userId, userData, client, options.denyList);
+  assertPreconditions(userId, userData, client, options.preconditions);
+  const plan = buildPlan(userId, userData.status);
+
+  client.logger.info('unsuspend.planned', { userId, status: userData.status, action: plan.action, message: plan.description });
+  return { userData, plan, requestId };
+}
+
+/**
+ * Helper function to poll the user until a lifecycle change is visible
+ * Okta may briefly keep returning the old status, so this only fails once every check in the window says so
+ * @private
+ */
+async function waitForStatus(userId, client, options, { isDone, outcome, event }) {
+  const startedAt = Date.now();
+
+  for (let check = 1; ; check++) {
+    const { userData, requestId } = await fetchUser(userId, client);
+
+    if (isDone(userData.status)) {
+      return { userData, confirmationMs: Date.now() - startedAt, requestId };
+    }
+
+    // Stop at the configured number of checks, or earlier if another wait would overrun the runtime budget
+    if (check >= options.confirmationAttempts || Date.now() + options.confirmationIntervalMs > client.deadline) {
+      const errorMessage = `User ${userId} could not be ${outcome}. User is currently ${userData.status} after ${check} checks over ${Date.now() - startedAt}ms`;
+      throw new OktaActionError(errorMessage, { code: ERROR_CODE.CONFIRMATION_FAILED, statusCode: 400, requestId });
+    }
+
+    client.logger.debug(`${event}.confirmation_pending`, { userId, status: userData.status, requestId, check, delayMs: options.confirmationIntervalMs });
+    await sleep(options.confirmationIntervalMs);
+  }
+}
+
+/**
+ * Helper function to poll the user until the unsuspend is visible
+ * @private
+ */
+async function waitForUnsuspend(userId, client, options) {
+  return waitForStatus(userId, client, options, {
+    isDone: status => status !== USER_STATUS.SUSPENDED,
+    outcome: 'unsuspended',
+    event: 'unsuspend'
+  });
+}
+
+/**
+ * Helper function to apply a profile update after the unsuspend
+ * The user is already unsuspended at this point, so a failed update is logged and returned rather than thrown
+ * @private
+ */
+async function tryUpdateUserProfile(userId, profile, client, errorPrefix) {
+  try {
+    const response = await updateUserProfile(userId, profile, client);
+    if (!response.ok) {
+      throw await createResponseError(response, errorPrefix);
+    }
+    return {};
+  } catch (err) {
+    client.logger.warn('profile.update_failed', { userId, attributes: Object.keys(profile), requestId: err.requestId, error: err });
+    return { error: err.message };
+  }
+}
+
+/**
+ * Helper function to write the justification to the configured profile attribute
+ * @private
+ */
+async function recordJustification(userId, client, justification) {
+  if (!justification.attribute || !justification.text) {
+    return {};
+  }
+
+  const { error } = await tryUpdateUserProfile(
+    userId,
+    { [justification.attribute]: justification.text },
+    client,
+    `Failed to write justification to ${justification.attribute}`
+  );
+
+  return error ? { justificationRecorded: false, justificationError: error } : { justificationRecorded: true };
+}
+
+/**
+ * Helper function to fill in a profile stamp from the values of this unsuspension
+ * Attributes whose placeholders have no value (e.g. {{ticketId}} without a ticketId) are left out
+ * @private
+ */
+function renderProfileStamp(mapping, values) {
+  const profile = {};
+
+  for (const [attribute, template] of Object.entries(mapping)) {
+    if (typeof template !== 'string') {
+      profile[attribute] = template;
+      continue;
+    }
+
+    let missing = false;
+    const value = template.replace(STAMP_PLACEHOLDER_PATTERN, (_, name) => {
+      if (values[name] === undefined) {
+        missing = true;
+        return '';
+      }
+      return String(values[name]);
+    });
+
+    if (!missing) {
+      profile[attribute] = value;
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Helper function to stamp the configured profile attributes after the unsuspend
+ * @private
+ */
+async function stampProfile(userId, client, mapping, values) {
+  if (!mapping) {
+    return {};
+  }
+
+  const profile = renderProfileStamp(mapping, values);
+  const attributes = Object.keys(profile);
+  if (attributes.length === 0) {
+    client.logger.info('profile.stamp_skipped', { userId, message: 'No profile stamp attribute had a value to write' });
+    return { profileStamped: false, stampedAttributes: [] };
+  }
+
+  const { error } = await tryUpdateUserProfile(userId, profile, client, 'Failed to stamp user profile');
+
+  return error
+    ? { profileStamped: false, stampedAttributes: [], profileStampError: error }
+    : { profileStamped: true, stampedAttributes: attributes };
+}
+
+/**
+ * Helper function to run the requested session and credential steps after the unsuspend
+ * Every step runs even if an earlier one failed, and each outcome is reported on its own
+ * @private
+ */
+async function runHygieneSteps(userId, client, steps) {
+  if (steps.length === 0) {
+    return undefined;
+  }
+
+  // Safely encode userId to prevent injection
+  const encodedUserId = encodeURIComponent(userId);
+  const outcomes = {};
+
+  for (const step of steps) {
+    const url = `${client.baseUrl}/api/v1/users/${encodedUserId}${step.path}`;
+    try {
+      const response = await oktaRequest(client, url, { method: step.method, userId });
+      if (!response.ok) {
+        throw await createResponseError(response, step.errorPrefix);
+      }
+      outcomes[step.name] = { succeeded: true, requestId: getRequestId(response) };
+      client.logger.info('hygiene.step_succeeded', { userId, step: step.name, requestId: outcomes[step.name].requestId });
+    } catch (err) {
+      outcomes[step.name] = { succeeded: false, error: err.message, code: err.code, requestId: err.requestId };
+      client.logger.warn('hygiene.step_failed', { userId, step: step.name, requestId: err.requestId, error: err });
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Helper function to put the user back in the given groups
+ * Reads the user's current groups first so existing memberships are skipped rather than re-added
+ * @private
+ */
+async function restoreGroupMemberships(userId, client, groupIds) {
+  if (groupIds.length === 0) {
+    return undefined;
+  }
+
+  const encodedUserId = encodeURIComponent(userId);
+  let currentGroupIds;
+  try {
+    currentGroupIds = new Set((await listUserGroups(userId, client)).map(group => group.id));
+  } catch (err) {
+    client.logger.warn('access.groups_read_failed', { userId, requestId: err.requestId, error: err });
+    return groupIds.map(groupId => ({ groupId, result: ACCESS_RESULT.FAILED, error: err.message, code: err.code, requestId: err.requestId }));
+  }
+
+  const results = [];
+  for (const groupId of groupIds) {
+    if (currentGroupIds.has(groupId)) {
+      results.push({ groupId, result: ACCESS_RESULT.ALREADY_MEMBER });
+      continue;
+    }
+
+    try {
+      const url = `${client.baseUrl}/api/v1/groups/${encodeURIComponent(groupId)}/users/${encodedUserId}`;
+      const response = await oktaRequest(client, url, { method: 'PUT', userId });
+      if (!response.ok) {
+        throw await createResponseError(response, `Failed to add user to group ${groupId}`, ERROR_CODE.GROUP_NOT_FOUND);
+      }
+      results.push({ groupId, result: ACCESS_RESULT.ADDED, requestId: getRequestId(response) });
+    } catch (err) {
+      client.logger.warn('access.group_failed', { userId, groupId, requestId: err.requestId, error: err });
+      results.push({ groupId, result: ACCESS_RESULT.FAILED, error: err.message, code: err.code, requestId: err.requestId });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Helper function to assign the user back to the given apps
+ * An app that already has the user, directly or through a group, is skipped
+ * @private
+ */
+async function restoreAppAssignments(userId, client, appIds) {
+  if (appIds.length === 0) {
+    return undefined;
+  }
+
+  const encodedUserId = encodeURIComponent(userId);
+  const results = [];
+
+  for (const appId of appIds) {
+    const appUsersUrl = `${client.baseUrl}/api/v1/apps/${encodeURIComponent(appId)}/users`;
+    try {
+      const existing = await oktaRequest(client, `${appUsersUrl}/${encodedUserId}`, { method: 'GET', userId });
+      if (existing.ok) {
+        results.push({ appId, result: ACCESS_RESULT.ALREADY_ASSIGNED });
+        continue;
+      }
+      if (existing.status !== 404) {
+        throw await createResponseError(existing, `Failed to read assignment of app ${appId}`, ERROR_CODE.APP_NOT_FOUND);
+      }
+
+      const response = await oktaRequest(client, appUsersUrl, { method: 'POST', userId, body: { id: userId, scope: 'USER' } });
+      if (!response.ok) {
+        throw await createResponseError(response, `Failed to assign app ${appId}`, ERROR_CODE.APP_NOT_FOUND);
+      }
+      results.push({ appId, result: ACCESS_RESULT.ASSIGNED, requestId: getRequestId(response) });
+    } catch (err) {
+      client.logger.warn('access.app_failed', { userId, appId, requestId: err.requestId, error: err });
+      results.push({ appId, result: ACCESS_RESULT.FAILED, error: err.message, code: err.code, requestId: err.requestId });
+    }
+  }
+
+  return results;
+}
+
 /**
- * Helper function to create an error with status code
+ * Helper function to search the System Log for unsuspend events targeting a user
  * @private
  */
-function createError(message, statusCode) {
-  const error = new Error(message);
-  error.statusCode = statusCode;
-  return error;
+async function searchUnsuspendEvents(userId, since, client) {
+  const filter = `eventType eq "${UNSUSPEND_EVENT_TYPE}" and target.id eq ${quoteSearchValue(userId)}`;
+  const url = `${client.baseUrl}/api/v1/logs?since=${encodeURIComponent(since)}&filter=${encodeURIComponent(filter)}&sortOrder=DESCENDING&limit=${SYSTEM_LOG_PAGE_SIZE}`;
+
+  const response = await oktaRequest(client, url, { method: 'GET', userId });
+
+  return response;
 }
 
 /**
- * Helper function to perform user unsuspension
+ * Helper function to find the System Log event recording this run's unsuspend
+ * Events carry the X-Okta-Request-Id of the call that caused them, so when the unsuspend call returned one
+ * only the event with that ID counts. Okta indexes events asynchronously, so this polls on the confirmation schedule
  * @private
  */
-async function unsuspendUser(userId, baseUrl, headers) {
-  // Safely encode userId to prevent injection
-  const encodedUserId = encodeURIComponent(userId);
+async function findUnsuspendEvent(userId, client, { since, requestId, confirmationAttempts, confirmationIntervalMs }) {
+  for (let check = 1; ; check++) {
+    const response = await searchUnsuspendEvents(userId, since, client);
+    if (!response.ok) {
+      throw await createResponseError(response, 'Failed to read the Okta System Log');
+    }
 
-  // Build URL using base URL (already cleaned by getBaseUrl)
-  const url = `${baseUrl}/api/v1/users/${encodedUserId}/lifecycle/unsuspend`;
+    let events;
+    try {
+      events = await response.json();
+    } catch (err) {
+      throw createError(`Cannot parse System Log events: ${err.message}`, 500, ERROR_CODE.INVALID_RESPONSE);
+    }
+
+    const event = requestId
+      ? events.find(candidate => candidate.debugContext?.debugData?.requestId === requestId)
+      : events[0];
+
+    if (event) {
+      const { id, type, alternateId, displayName } = event.actor || {};
+      return {
+        uuid: event.uuid,
+        actor: { id, type, alternateId, displayName },
+        published: event.published
+      };
+    }
+
+    if (check >= confirmationAttempts || Date.now() + confirmationIntervalMs > client.deadline) {
+      throw new OktaActionError(
+        `User ${userId} was unsuspended but no ${UNSUSPEND_EVENT_TYPE} event for it appeared in the Okta System Log after ${check} checks`,
+        { code: ERROR_CODE.AUDIT_EVENT_NOT_FOUND, requestId: getRequestId(response) }
+      );
+    }
+
+    client.logger.debug('audit.event_pending', { userId, requestId, check, delayMs: confirmationIntervalMs });
+    await sleep(confirmationIntervalMs);
+  }
+}
+
+/**
+ * Helper function to look for this run's unsuspend event without failing the run
+ * The user is already unsuspended by then, so an event that never appears or a System Log that can't be read
+ * is reported in auditEventError rather than thrown
+ * @private
+ */
+async function verifyUnsuspendEvent(userId, client, options) {
+  try {
+    const auditEvent = await findUnsuspendEvent(userId, client, options);
+    client.logger.info('audit.event_found', { userId, requestId: options.requestId, eventId: auditEvent.uuid, actorId: auditEvent.actor.id });
+    return { auditEvent };
+  } catch (err) {
+    client.logger.warn('audit.event_not_found', { userId, requestId: err.requestId, error: err });
+    return { auditEventError: err.message };
+  }
+}
+
+/**
+ * Helper function to tell whether a retried unsuspend was refused only because an earlier attempt succeeded
+ * A 502/503/504 or dropped connection doesn't mean Okta ignored the POST, and if it applied it the retry is
+ * refused with a 400 as the user is no longer SUSPENDED
+ * @private
+ */
+async function retryWasApplied(userId, client, response, trace) {
+  if (response.status !== 400 || trace.attempts < 2) {
+    return false;
+  }
+
+  const { userData, requestId } = await fetchUser(userId, client);
+  if (userData.status === USER_STATUS.SUSPENDED) {
+    return false;
+  }
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers
+  client.logger.warn('unsuspend.retry_already_applied', {
+    userId,
+    status: userData.status,
+    requestId,
+    message: `Okta refused the retried unsuspend, but user ${userId} is already ${userData.status}`
   });
+  return true;
+}
 
-  return response;
+/**
+ * Helper function to unsuspend a user and confirm the status change
+ * Reads the user first so ACTIVE users are left alone and ineligible states fail before any POST
+ * @private
+ */
+async function unsuspendAndConfirm(userId, client, options) {
+  const { userData: currentUser, requestId: preflightRequestId } = await fetchUser(userId, client);
+  assertNotSelfApproval(userId, currentUser, options.approver);
+  await assertNotProtected(userId, currentUser, client, options.denyList);
+  assertPreconditions(userId, currentUser, client, options.preconditions);
+  const previousStatus = currentUser.status;
+  const plan = buildPlan(userId, previousStatus);
+
+  if (plan.action === PLAN_ACTION.NONE) {
+    client.logger.info('unsuspend.already_active', { userId, status: previousStatus, requestId: preflightRequestId });
+    return { userData: currentUser, previousStatus, alreadyActive: true, getUserRequestId: preflightRequestId };
+  }
+
+  if (plan.action === PLAN_ACTION.REFUSE) {
+    throw new InvalidLifecycleStateError(userId, previousStatus);
+  }
+
+  // Make the API request to unsuspend the user
+  const since = new Date(Date.now() - SYSTEM_LOG_CLOCK_SKEW_MS).toISOString();
+  const { justification } = options;
+  const justificationHeaders = justification.header && justification.headerText
+    ? { [justification.header]: justification.headerText }
+    : undefined;
+  const trace = {};
+  const unsuspendUserResponse = await unsuspendUser(userId, client, justificationHeaders, trace);
+  const unsuspendRequestId = getRequestId(unsuspendUserResponse);
+
+  if (!unsuspendUserResponse.ok && !await retryWasApplied(userId, client, unsuspendUserResponse, trace)) {
+    throw await createResponseError(unsuspendUserResponse, 'Failed to unsuspend user');
+  }
+
+  // Get user to confirm status change
+  const { userData, confirmationMs, requestId: getUserRequestId } = await waitForUnsuspend(userId, client, options);
+
+  client.logger.info('unsuspend.confirmed', { userId, previousStatus, status: userData.status, requestId: unsuspendRequestId, durationMs: confirmationMs });
+
+  // Sessions and credentials are dealt with first, so nothing after the unsuspend can leave them untouched
+  const hygiene = await runHygieneSteps(userId, client, options.hygieneSteps);
+
+  // Optionally prove from the audit trail that this run's call made the change
+  const { auditEvent, auditEventError } = options.verifySystemLog
+    ? await verifyUnsuspendEvent(userId, client, { ...options, since, requestId: unsuspendRequestId })
+    : {};
+
+  // The audit event's timestamp is authoritative when the System Log was checked
+  const unsuspendedAt = auditEvent?.published || userData.statusChanged || userData.lastUpdated;
+
+  const stampResult = await stampProfile(userId, client, options.profileStamp, {
+    userId,
+    unsuspendedAt,
+    previousStatus,
+    ...justification.fields,
+    justification: justification.text,
+    unsuspendRequestId,
+    auditEventId: auditEvent?.uuid
+  });
+  const justificationResult = await recordJustification(userId, client, justification);
+  const groupMemberships = await restoreGroupMemberships(userId, client, options.restoreGroupIds);
+  const appAssignments = await restoreAppAssignments(userId, client, options.restoreAppIds);
+  const followUp = options.expiresAt ? buildFollowUp(userId, options.expiresAt, userData, hygiene, client) : undefined;
+
+  return {
+    userData,
+    previousStatus,
+    alreadyActive: false,
+    unsuspendedAt,
+    confirmationMs,
+    unsuspendRequestId,
+    getUserRequestId,
+    auditEvent,
+    auditEventError,
+    ...stampResult,
+    ...justificationResult,
+    groupMemberships,
+    appAssignments,
+    hygiene,
+    followUp
+  };
 }
 
 /**
- * Helper function to get user details
+ * Helper function to build the instruction a scheduler runs when a time-boxed unsuspension expires
+ * The inputs record the state this run left the user in, so the re-suspend can tell if anyone has changed it since.
+ * A run against an org profile names the profile rather than its address, so the re-suspend uses that org's credentials
  * @private
  */
-async function getUser(userId, baseUrl, headers) {
-  // Safely encode userId to prevent injection
-  const encodedUserId = encodeURIComponent(userId);
+function buildFollowUp(userId, expiresAt, userData, hygiene, client) {
+  // Changing an expired password moves the user back to ACTIVE, which the re-suspend can't tell from anyone else's
+  // change, so only the status is checked when this run expired the password
+  const passwordExpired = hygiene?.expirePassword?.succeeded;
 
-  // Build URL using base URL (already cleaned by getBaseUrl)
-  const url = `${baseUrl}/api/v1/users/${encodedUserId}`;
+  return {
+    action: RUN_MODE.RESUSPEND,
+    runAt: expiresAt,
+    inputs: {
+      mode: RUN_MODE.RESUSPEND,
+      userId,
+      expectedStatus: passwordExpired ? [USER_STATUS.ACTIVE, 'PASSWORD_EXPIRED'].join(',') : userData.status,
+      expectedStatusChanged: passwordExpired ? undefined : userData.statusChanged,
+      ...(client.org ? { org: client.org } : { address: client.baseUrl })
+    }
+  };
+}
+
+/**
+ * Helper function to re-suspend a user at the end of a time-boxed unsuspension
+ * Skips the user, without failing, when their status has changed since the unsuspend left them
+ * @private
+ */
+async function resuspendIfUnchanged(userId, client, options) {
+  const { expectedStatuses, expectedStatusChanged } = options.resuspend;
+  const { userData: currentUser, requestId: preflightRequestId } = await fetchUser(userId, client);
+  const previousStatus = currentUser.status;
+
+  let skipReason;
+  if (!expectedStatuses.includes(previousStatus)) {
+    skipReason = `User ${userId} is ${previousStatus}, not ${expectedStatuses.join(' or ')} as the unsuspend left them`;
+  } else if (expectedStatusChanged && currentUser.statusChanged !== expectedStatusChanged) {
+    skipReason = `User ${userId} changed status at ${currentUser.statusChanged}, after the unsuspend at ${expectedStatusChanged}`;
+  }
+
+  if (skipReason) {
+    client.logger.info('resuspend.skipped', { userId, status: previousStatus, requestId: preflightRequestId, message: skipReason });
+    return { userData: currentUser, previousStatus, resuspended: false, skipReason, getUserRequestId: preflightRequestId };
+  }
+
+  if (options.dryRun) {
+    client.logger.info('resuspend.planned', { userId, status: previousStatus, message: `Would re-suspend user ${userId}` });
+    return { userData: currentUser, previousStatus, resuspended: false, getUserRequestId: preflightRequestId };
+  }
+
+  const suspendResponse = await suspendUser(userId, client);
+  const suspendRequestId = getRequestId(suspendResponse);
+
+  if (!suspendResponse.ok) {
+    throw await createResponseError(suspendResponse, 'Failed to suspend user');
+  }
 
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: headers
+  const { userData, confirmationMs, requestId: getUserRequestId } = await waitForStatus(userId, client, options, {
+    isDone: status => status === USER_STATUS.SUSPENDED,
+    outcome: 're-suspended',
+    event: 'resuspend'
   });
 
-  return response;
+  client.logger.info('resuspend.confirmed', { userId, previousStatus, status: userData.status, requestId: suspendRequestId, durationMs: confirmationMs });
+  return { userData, previousStatus, resuspended: true, confirmationMs, suspendRequestId, getUserRequestId };
+}
+
+/**
+ * Helper function to normalize a list of Okta IDs
+ * Accepts an array or newline/comma separated text and drops blanks and duplicates
+ * @private
+ */
+function parseIdList(value) {
+  const entries = Array.isArray(value) ? value : String(value).split(/[\n,;]/);
+
+  const ids = entries
+    .map(entry => String(entry).trim())
+    .filter(entry => entry.length > 0);
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Helper function to run an async worker over items with at most `limit` in flight
+ * Results are returned in the same order as the items
+ * @private
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+  await Promise.all(runners);
+
+  return results;
+}
+
+/**
+ * Helper function to read a boolean input that may arrive as a string
+ * @private
+ */
+function parseBoolean(value) {
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
+/**
+ * Helper function to read an integer input within bounds, falling back to a default
+ * @private
+ */
+function parseBoundedInteger(value, defaultValue, min, max) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) {
+    return defaultValue;
+  }
+  return Math.min(Math.max(parsed, min), max);
+}
+
+/**
+ * Helper function to read an optional text input, treating blank values as absent
+ * @private
+ */
+function readText(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined;
+  }
+  return String(value).trim();
+}
+
+/**
+ * Helper function to read the optional reason, ticket and requester inputs
+ * These are echoed in the outputs and bound to every log line
+ * @private
+ */
+function getJustificationFields(params) {
+  return {
+    reason: readText(params.reason),
+    ticketId: readText(params.ticketId),
+    requestedBy: readText(params.requestedBy)
+  };
+}
+
+/**
+ * Helper function to build the justification recorded on the Okta side
+ * Validates the configured profile attribute and header names before anything is sent
+ * @private
+ */
+function getJustification(params) {
+  const fields = getJustificationFields(params);
+  const { reason, ticketId, requestedBy } = fields;
+  const attribute = readText(params.justificationAttribute);
+  const header = readText(params.justificationHeader);
+
+  if (attribute && !PROFILE_ATTRIBUTE_PATTERN.test(attribute)) {
+    throw createError(`Invalid justificationAttribute name: ${attribute}`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  if (header && (!HEADER_NAME_PATTERN.test(header) || RESERVED_HEADERS.includes(header.toLowerCase()))) {
+    throw createError(`Invalid justificationHeader name: ${header}`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  // e.g. "INC-1234: Returned from leave (requested by jane.doe@example.com)"
+  let text = [ticketId, reason].filter(Boolean).join(': ');
+  if (requestedBy) {
+    text = text ? `${text} (requested by ${requestedBy})` : `Requested by ${requestedBy}`;
+  }
+
+  return {
+    fields,
+    text: text || undefined,
+    // Header values must be single-line printable ASCII
+    headerText: text ? text.replace(/[^\x20-\x7E]/g, ' ') : undefined,
+    attribute,
+    header
+  };
+}
+
+/**
+ * Helper function to read the profile stamp mapping of profile attributes to values
+ * Accepts an object or JSON text. String values may reference the fields in STAMP_FIELDS as {{name}}
+ * @private
+ */
+function getProfileStamp(params) {
+  if (params.profileStamp === undefined || params.profileStamp === null || params.profileStamp === '') {
+    return undefined;
+  }
+
+  const invalid = 'profileStamp must be a JSON object mapping profile attributes to values, for example {"lastUnsuspendedAt": "{{unsuspendedAt}}"}';
+  let mapping = params.profileStamp;
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch {
+      throw createError(invalid, 400, ERROR_CODE.INVALID_INPUT);
+    }
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || Object.keys(mapping).length === 0) {
+    throw createError(invalid, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  for (const [attribute, template] of Object.entries(mapping)) {
+    if (!PROFILE_ATTRIBUTE_PATTERN.test(attribute)) {
+      throw createError(`Invalid profileStamp attribute name: ${attribute}`, 400, ERROR_CODE.INVALID_INPUT);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof template)) {
+      throw createError(`profileStamp value for ${attribute} must be text, a number or a boolean`, 400, ERROR_CODE.INVALID_INPUT);
+    }
+    if (typeof template === 'string') {
+      for (const [, name] of template.matchAll(STAMP_PLACEHOLDER_PATTERN)) {
+        if (!STAMP_FIELDS.includes(name)) {
+          throw createError(`Unknown profileStamp placeholder {{${name}}} for ${attribute}. Expected one of: ${STAMP_FIELDS.join(', ')}`, 400, ERROR_CODE.INVALID_INPUT);
+        }
+      }
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Helper function to work out when a time-boxed unsuspension ends
+ * Takes either an absolute expiresAt or a durationMinutes from now
+ * @private
+ */
+function getExpiresAt(params) {
+  const expiresAt = readText(params.expiresAt);
+  const durationMinutes = readText(params.durationMinutes);
+
+  if (expiresAt && durationMinutes) {
+    throw createError('Provide either expiresAt or durationMinutes, not both', 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  if (expiresAt) {
+    const time = Date.parse(expiresAt);
+    if (Number.isNaN(time)) {
+      throw createError(`Invalid expiresAt "${expiresAt}". Expected an ISO 8601 date-time`, 400, ERROR_CODE.INVALID_INPUT);
+    }
+    if (time <= Date.now()) {
+      throw createError(`expiresAt ${expiresAt} is in the past`, 400, ERROR_CODE.INVALID_INPUT);
+    }
+    return new Date(time).toISOString();
+  }
+
+  if (durationMinutes) {
+    const minutes = Number(durationMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_DURATION_MINUTES) {
+      throw createError(`durationMinutes must be a whole number between 1 and ${MAX_DURATION_MINUTES}`, 400, ERROR_CODE.INVALID_INPUT);
+    }
+    return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  }
+
+  return undefined;
+}
+
+/**
+ * Helper function to read the profile preconditions
+ * Accepts an array or JSON text of {attribute, operator, value} conditions, which must all hold
+ * @private
+ */
+function getPreconditions(params) {
+  if (params.preconditions === undefined || params.preconditions === null || params.preconditions === '') {
+    return [];
+  }
+
+  const invalid = 'preconditions must be a JSON array of {"attribute", "operator", "value"} conditions';
+  let conditions = params.preconditions;
+  if (typeof conditions === 'string') {
+    try {
+      conditions = JSON.parse(conditions);
+    } catch {
+      throw createError(invalid, 400, ERROR_CODE.INVALID_INPUT);
+    }
+  }
+
+  if (!Array.isArray(conditions)) {
+    throw createError(invalid, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  return conditions.map((condition, index) => {
+    const { attribute, operator, value } = condition || {};
+    if (typeof attribute !== 'string' || !PROFILE_ATTRIBUTE_PATTERN.test(attribute)) {
+      throw createError(`Invalid precondition ${index + 1}: attribute must be a profile attribute name`, 400, ERROR_CODE.INVALID_INPUT);
+    }
+    if (!PRECONDITION_OPERATORS.includes(operator)) {
+      throw createError(`Invalid precondition ${index + 1}: operator must be one of ${PRECONDITION_OPERATORS.join(', ')}`, 400, ERROR_CODE.INVALID_INPUT);
+    }
+    if (!VALUELESS_OPERATORS.includes(operator) && (value === undefined || value === null)) {
+      throw createError(`Invalid precondition ${index + 1}: ${operator} needs a value`, 400, ERROR_CODE.INVALID_INPUT);
+    }
+    if (operator.startsWith('date-') && Number.isNaN(preconditionTime(value))) {
+      throw createError(`Invalid precondition ${index + 1}: ${JSON.stringify(value)} is not an ISO 8601 date or "now"`, 400, ERROR_CODE.INVALID_INPUT);
+    }
+    return VALUELESS_OPERATORS.includes(operator) ? { attribute, operator } : { attribute, operator, value };
+  });
+}
+
+/**
+ * Helper function to read and validate the options that shape a run
+ * @private
+ */
+function getRunOptions(params, context) {
+  const options = {
+    mode: readText(params.mode) || RUN_MODE.UNSUSPEND,
+    dryRun: parseBoolean(params.dryRun),
+    failurePolicy: params.failurePolicy || FAILURE_POLICY.ANY,
+    concurrency: parseBoundedInteger(params.concurrency, DEFAULT_CONCURRENCY, 1, MAX_CONCURRENCY),
+    confirmationAttempts: parseBoundedInteger(params.confirmationAttempts, DEFAULT_CONFIRMATION_ATTEMPTS, 1, MAX_CONFIRMATION_ATTEMPTS),
+    confirmationIntervalMs: parseBoundedInteger(params.confirmationIntervalMs, DEFAULT_CONFIRMATION_INTERVAL_MS, MIN_CONFIRMATION_INTERVAL_MS, MAX_CONFIRMATION_INTERVAL_MS),
+    verifySystemLog: parseBoolean(params.verifySystemLog),
+    justification: getJustification(params),
+    profileStamp: getProfileStamp(params),
+    hygieneSteps: HYGIENE_STEPS.filter(step => parseBoolean(params[step.name])),
+    restoreGroupIds: params.restoreGroupIds ? parseIdList(params.restoreGroupIds) : [],
+    restoreAppIds: params.restoreAppIds ? parseIdList(params.restoreAppIds) : [],
+    profileAttributes: params.includeProfileAttributes ? parseIdList(params.includeProfileAttributes) : []
+  };
+
+  const invalidAttribute = options.profileAttributes.find(attribute => !PROFILE_ATTRIBUTE_PATTERN.test(attribute));
+  if (invalidAttribute) {
+    throw createError(`Invalid includeProfileAttributes name: ${invalidAttribute}`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  if (!Object.values(FAILURE_POLICY).includes(options.failurePolicy)) {
+    throw createError(`Invalid failurePolicy "${options.failurePolicy}". Expected one of: ${Object.values(FAILURE_POLICY).join(', ')}`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  if (!Object.values(RUN_MODE).includes(options.mode)) {
+    throw createError(`Invalid mode "${options.mode}". Expected one of: ${Object.values(RUN_MODE).join(', ')}`, 400, ERROR_CODE.INVALID_INPUT);
+  }
+
+  if (options.mode === RUN_MODE.RESUSPEND) {
+    if (params.userIds || params.groupId || params.groupName) {
+      throw createError('Re-suspend mode works on a single user. Remove userIds, groupId and groupName', 400, ERROR_CODE.INVALID_INPUT);
+    }
+    options.resuspend = {
+      expectedStatuses: parseIdList(params.expectedStatus || USER_STATUS.ACTIVE).map(status => status.toUpperCase()),
+      expectedStatusChanged: readText(params.expectedStatusChanged)
+    };
+  } else {
+    options.expiresAt = getExpiresAt(params);
+    options.approval = getApproval(params, context);
+    options.denyList = getDenyList(context);
+    options.preconditions = getPreconditions(params);
+  }
+
+  return options;
+}
+
+/**
+ * Helper function to unsuspend many users and collect a per-user result
+ * A failure for one user is recorded and does not stop the others. In a dry run only the plan is recorded
+ * @private
+ */
+async function unsuspendUsers(userIds, client, options) {
+  return mapWithConcurrency(userIds, options.concurrency, async (userId) => {
+    try {
+      if (options.dryRun) {
+        const { userData, plan } = await planUnsuspend(userId, client, options);
+        return {
+          userId,
+          result: DRY_RUN_RESULTS[plan.action],
+          previousStatus: userData.status,
+          status: userData.status,
+          plan: plan.description
+        };
+      }
+
+      const {
+        userData, previousStatus, alreadyActive, unsuspendedAt, confirmationMs, unsuspendRequestId, auditEvent, auditEventError,
+        profileStamped, stampedAttributes, profileStampError, justificationRecorded, justificationError,
+        groupMemberships, appAssignments, hygiene, followUp
+      } = await unsuspendAndConfirm(userId, client, options);
+      return {
+        userId,
+        result: alreadyActive ? BULK_RESULT.ALREADY_ACTIVE : BULK_RESULT.UNSUSPENDED,
+        previousStatus,
+        status: userData.status,
+        unsuspendedAt,
+        confirmationMs,
+        unsuspendRequestId,
+        auditEvent,
+        auditEventError,
+        profileStamped,
+        stampedAttributes,
+        profileStampError,
+        justificationRecorded,
+        justificationError,
+        groupMemberships,
+        appAssignments,
+        hygiene,
+        followUp
+      };
+    } catch (err) {
+      client.logger.error('bulk.user_failed', { userId, requestId: err.requestId, error: err });
+      return {
+        userId,
+        result: BULK_RESULT.FAILED,
+        error: err.message,
+        code: err.code,
+        statusCode: err.statusCode,
+        requestId: err.requestId,
+        errorId: err.errorId
+      };
+    }
+  });
+}
+
+/**
+ * Helper function to decide whether a bulk run should fail the job
+ * @private
+ */
+function shouldFailBulk(policy, failed, total) {
+  switch (policy) {
+    case FAILURE_POLICY.NONE:
+      return false;
+    case FAILURE_POLICY.ALL:
+      return total > 0 && failed === total;
+    default:
+      return failed > 0;
+  }
+}
+
+/**
+ * Helper function to unsuspend a list of users and summarize the outcome
+ * Throws with the per-user results attached when the failure policy says the job failed
+ * @private
+ */
+async function runBulk(userIds, client, options) {
+  const { dryRun, failurePolicy } = options;
+
+  client.logger.info('bulk.started', { dryRun, total: userIds.length, concurrency: options.concurrency });
+  const results = await unsuspendUsers(userIds, client, options);
+
+  const failedUserIds = results
+    .filter(r => r.result === BULK_RESULT.FAILED || r.result === BULK_RESULT.NOT_ELIGIBLE)
+    .map(r => r.userId);
+  const failed = failedUserIds.length;
+  const succeeded = results.length - failed;
+  client.logger.info('bulk.finished', { dryRun, total: results.length, succeeded, failed });
+
+  // A dry run reports whether the real run would fail instead of failing itself
+  if (dryRun) {
+    return {
+      dryRun: true,
+      unsuspended: false,
+      address: client.baseUrl,
+      total: results.length,
+      succeeded,
+      failed,
+      failedUserIds,
+      wouldFail: shouldFailBulk(failurePolicy, failed, results.length),
+      results,
+      attempts: client.attempts
+    };
+  }
+
+  if (shouldFailBulk(failurePolicy, failed, results.length)) {
+    const error = createError(`Failed to unsuspend ${failed} of ${results.length} users: ${failedUserIds.join(', ')}`, 500, ERROR_CODE.BULK_FAILED);
+    error.failedUserIds = failedUserIds;
+    error.results = results;
+    throw error;
+  }
+
+  return {
+    unsuspended: failed === 0,
+    address: client.baseUrl,
+    total: results.length,
+    succeeded,
+    failed,
+    failedUserIds,
+    results,
+    attempts: client.attempts
+  };
 }
 
 export default {
@@ -65,10 +2490,53 @@ export default {
    * Main execution handler - unsuspends the specified Okta user
    * @param {Object} params - Job input parameters
    * @param {string} params.userId - The Okta user ID
+   * @param {string} params.login - Okta login to resolve when userId is not provided
+   * @param {string} params.email - Primary email to resolve when userId and login are not provided
+   * @param {string} params.profileAttribute - Profile attribute name to search on (e.g. employeeNumber)
+   * @param {string} params.profileAttributeValue - Value of profileAttribute identifying the user
+   * @param {string|string[]} params.userIds - List of Okta user IDs (array, or newline/comma separated text) for bulk mode
+   * @param {string} params.failurePolicy - Bulk mode: fail the job when "any" (default), "all" or "none" of the users fail
+   * @param {string} params.groupId - Group mode: Okta group whose suspended members are unsuspended
+   * @param {string} params.groupName - Group mode: exact group name, used when groupId is not provided
+   * @param {number} params.concurrency - Bulk mode: how many users to process at once (default 5, max 10)
+   * @param {number} params.confirmationAttempts - How many times to read the user back after unsuspending (default 5, max 10)
+   * @param {number} params.confirmationIntervalMs - Wait between confirmation reads in milliseconds (default 1000)
+   * @param {boolean} params.dryRun - Report what would happen without calling the lifecycle endpoint
+   * @param {boolean} params.verifySystemLog - Find the user.lifecycle.unsuspend event in the System Log and report it
+   * @param {string} params.reason - Why the user is being unsuspended
+   * @param {string} params.ticketId - Ticket or change reference for the unsuspension
+   * @param {string} params.requestedBy - Who asked for the unsuspension
+   * @param {string} params.justificationAttribute - Profile attribute to write the justification to after unsuspending
+   * @param {string} params.justificationHeader - Header that carries the justification on the unsuspend call
+   * @param {boolean} params.clearSessions - After unsuspending, clear the user's sessions and revoke their OAuth tokens
+   * @param {boolean} params.resetFactors - After unsuspending, reset the user's MFA factors
+   * @param {boolean} params.expirePassword - After unsuspending, expire the user's password so it must be changed at next login
+   * @param {string|string[]} params.restoreGroupIds - Groups to add the user back to after unsuspending
+   * @param {string|string[]} params.restoreAppIds - Apps to assign the user back to after unsuspending
+   * @param {string} params.approvedBy - Okta user ID or login of the person who approved the unsuspension
+   * @param {boolean} params.requireApproval - Refuse to run without approvedBy
+   * @param {Object[]|string} params.preconditions - Profile conditions ({attribute, operator, value}) that must all hold to unsuspend
+   * @param {string|string[]} params.includeProfileAttributes - Extra profile attributes to echo in the profile output
+   * @param {string} params.expiresAt - Time-boxed unsuspension: when the user should be re-suspended (ISO 8601)
+   * @param {number} params.durationMinutes - Time-boxed unsuspension: minutes until the user should be re-suspended
+   * @param {string} params.mode - "unsuspend" (default) or "resuspend" to end a time-boxed unsuspension
+   * @param {string} params.expectedStatus - Re-suspend mode: status(es) the unsuspend left the user in (default ACTIVE)
+   * @param {string} params.expectedStatusChanged - Re-suspend mode: the user's statusChanged after the unsuspend
+   * @param {Object|string} params.profileStamp - Profile attributes to stamp after unsuspending, mapped to values or {{placeholders}}
    * @param {string} params.address - Full URL to Okta API (defaults to ADDRESS environment variable)
+   * @param {string} params.org - Org profile to use instead of the default org, read from ORG_<ORG>_ settings
    *
    * @param {Object} context - Execution context with secrets and environment
    * @param {string} context.environment.ADDRESS - Okta API base URL
+   * @param {string} context.environment.OKTA_ALLOWED_DOMAINS - Hosts the address may point at, e.g. *.okta.com,login.example.com
+   * @param {string} context.environment.LOG_LEVEL - Lowest log level written (debug, info, warn or error)
+   * @param {string} context.environment.REQUIRE_APPROVAL - "true" to require approvedBy on every run
+   * @param {string} context.environment.PROTECTED_USER_IDS - User IDs that are never unsuspended
+   * @param {string} context.environment.PROTECTED_LOGINS - Logins that are never unsuspended
+   * @param {string} context.environment.PROTECTED_LOGIN_PATTERNS - Login patterns (* and ?) that are never unsuspended
+   * @param {string} context.environment.PROTECTED_GROUP_IDS - Groups whose members are never unsuspended
+   * @param {string} context.environment.PROTECTED_PROFILE_ATTRIBUTES - attribute=value pairs that mark a user as protected
+   * @param {string} context.environment.APPROVER_GROUP_ID - Okta group every approver must belong to
    *
    * The configured auth type will determine which of the following environment variables and secrets are available
    * @param {string} context.secrets.BEARER_AUTH_TOKEN
@@ -85,96 +2553,231 @@ export default {
    *
    * @param {string} context.secrets.OAUTH2_AUTHORIZATION_CODE_ACCESS_TOKEN
    *
+   * @param {string} context.secrets.OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_KEY_ID
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_SCOPE
+   *
+   * @param {string} context.environment.OAUTH2_DPOP - "true" to request DPoP-bound OAuth2 tokens
+   * @param {string} context.environment.BEARER_AUTH_SCHEME - How to send BEARER_AUTH_TOKEN: SSWS, Bearer or auto (default)
+   *
    * @returns {Object} Job results
    */
   invoke: async (params, context) => {
+    const logger = createLogger(context);
+    logger.bind(getJustificationFields(params));
 
-    const { userId } = params;
+    // Use the named org profile's address and credentials when the run targets one
+    const { org, orgContext } = getOrgContext(params, context);
+    logger.bind({ org });
 
-    console.log(`Starting Okta user unsuspension for user: ${userId}`);
+    logger.info('unsuspend.started', { target: describeUser(params) });
 
-    // Get base URL using utility function
-    const baseUrl = getBaseURL(params, context);
+    // Get base URL using utility function, and vet it before any credential is sent to it
+    const baseUrl = normalizeAddress(getBaseURL(params, orgContext), orgContext, logger);
 
-    // Get headers using utility function
-    let headers = await createHeaders(context);
+    // Bind the run's OAuth2 token to an ephemeral key when the service app enforces DPoP
+    const dpop = parseBoolean(orgContext.environment?.OAUTH2_DPOP) ? createDpopKey() : undefined;
+    const headers = await createAuthHeaders(baseUrl, orgContext, logger, dpop);
 
-    // Handle Okta's SSWS token format - only for Bearer token auth mode
-    if (context.secrets.BEARER_AUTH_TOKEN && headers['Authorization'].startsWith('Bearer ')) {
-      const token = headers['Authorization'].substring(7);
-      headers['Authorization'] = token.startsWith('SSWS ') ? token : `SSWS ${token}`;
+    // Scrub the credential itself as well as its configured source, in case it was derived at runtime
+    logger.addSecret(headers['Authorization']?.replace(/^\S+\s+/, ''));
+
+    // Validate run options before touching any user
+    const options = getRunOptions(params, orgContext);
+
+    // Every Okta call in this run shares the retry budget and rate-limit state
+    const client = createClient(baseUrl, headers, logger, dpop, org);
+
+    // Re-suspend mode - end a time-boxed unsuspension if nobody has changed the user since
+    if (options.mode === RUN_MODE.RESUSPEND) {
+      const { userId, identifierType, identifier } = await resolveUser(params, client);
+      const { userData, previousStatus, resuspended, skipReason, confirmationMs, suspendRequestId, getUserRequestId } =
+        await resuspendIfUnchanged(userId, client, options);
+
+      return {
+        mode: RUN_MODE.RESUSPEND,
+        userId,
+        identifierType,
+        identifier,
+        dryRun: options.dryRun || undefined,
+        resuspended,
+        skipReason,
+        previousStatus,
+        org,
+        address: baseUrl,
+        status: userData.status,
+        ...buildUserSnapshot(userData, options.profileAttributes),
+        attempts: client.attempts,
+        confirmationMs,
+        suspendRequestId,
+        getUserRequestId,
+        ...options.justification.fields
+      };
     }
 
-    // Make the API request to unsuspend the user
-    const unsuspendUserResponse = await unsuspendUser(userId, baseUrl, headers);
-    console.log(`Receieved a ${unsuspendUserResponse.status} from Okta when unsuspending user ${userId}`);
+    // Vet the approver once, before any user is read or unsuspended
+    options.approver = await resolveApprover(options.approval, client);
+    const approvalFields = { approvedBy: options.approver?.approvedBy, approverId: options.approver?.approverId };
 
-    if (!unsuspendUserResponse.ok && unsuspendUserResponse.status !== 400) {
-      // Handle error responses
-      let errorMessage = `Failed to unsuspend user: HTTP ${unsuspendUserResponse.status}`;
+    // Group mode - unsuspend every suspended member of a group
+    if (params.groupId || params.groupName) {
+      const { groupId, groupName } = await resolveGroup(params, client);
+      const members = await listGroupMembers(groupId, client);
 
+      const suspended = members.filter(member => member.status === USER_STATUS.SUSPENDED);
+      const skipped = members
+        .filter(member => member.status !== USER_STATUS.SUSPENDED)
+        .map(member => ({ userId: member.id, status: member.status }));
+
+      logger.info('group.members_listed', { groupId, members: members.length, suspended: suspended.length });
+      const listRestored = results => results.filter(r => r.result === BULK_RESULT.UNSUSPENDED).map(r => r.userId);
+
+      let summary;
       try {
-        const errorBody = await unsuspendUserResponse.json();
-        if (errorBody.errorSummary) {
-          errorMessage = `Failed to unsuspend user: ${errorBody.errorSummary}`;
+        summary = await runBulk(suspended.map(member => member.id), client, options);
+      } catch (error) {
+        // A failed group run still reports which members were restored and which were never touched
+        if (error.code === ERROR_CODE.BULK_FAILED) {
+          Object.assign(error, { groupId, groupName, restored: listRestored(error.results), skipped });
         }
-        console.error('Okta API error response:', errorBody);
-      } catch {
-        // Response might not be JSON
-        console.error('Failed to parse error response');
+        throw error;
       }
 
-      throw createError(errorMessage, unsuspendUserResponse.status);
+      return {
+        groupId,
+        groupName,
+        org,
+        ...summary,
+        ...options.justification.fields,
+        ...approvalFields,
+        restored: listRestored(summary.results),
+        skipped
+      };
     }
 
-    // Get user to confirm status change
-    const getUserResponse = await getUser(userId, baseUrl, headers);
-    if (!getUserResponse.ok) {
-      const errorMessage = `Cannot fetch information about User: HTTP ${getUserResponse.status}`;
-      console.error(errorMessage);
-      throw createError(errorMessage, getUserResponse.status);
-    }
+    // Bulk mode - unsuspend every listed user and report per-user results
+    if (params.userIds) {
+      const userIds = parseIdList(params.userIds);
+      if (userIds.length === 0) {
+        throw createError('userIds did not contain any user IDs', 400, ERROR_CODE.INVALID_INPUT);
+      }
 
-    let userData;
-    try {
-      userData = await getUserResponse.json();
-    } catch (err) {
-      const errorMessage = `Cannot parse user data: ${err.message}`;
-      console.error(errorMessage);
-      throw createError(errorMessage, 500);
+      return { ...await runBulk(userIds, client, options), org, ...options.justification.fields, ...approvalFields };
     }
 
-    // Check if user now active
-    if (userData.status === USER_STATUS.SUSPENDED) {
-      const errorMessage = `User ${userId} could not be unsuspended. User is currently ${userData.status}`;
-      console.error(errorMessage);
-      throw createError(errorMessage, 400);
+    // Resolve login, email or profile attribute to an Okta user ID
+    const { userId, identifierType, identifier } = await resolveUser(params, client);
+
+    // Dry run - report what would happen without calling the lifecycle endpoint
+    if (options.dryRun) {
+      const { userData, plan, requestId } = await planUnsuspend(userId, client, options);
+      return {
+        userId,
+        identifierType,
+        identifier,
+        dryRun: true,
+        unsuspended: false,
+        alreadyActive: userData.status === USER_STATUS.ACTIVE,
+        previousStatus: userData.status,
+        org,
+        address: baseUrl,
+        status: userData.status,
+        ...buildUserSnapshot(userData, options.profileAttributes),
+        plan,
+        expiresAt: options.expiresAt,
+        attempts: client.attempts,
+        getUserRequestId: requestId,
+        ...options.justification.fields,
+        ...approvalFields
+      };
     }
 
-    // Successfully suspended user
-    console.log(`Fetched user info. User ${userId} is unsuspended with a status of ${userData.status}.`);
+    const {
+      userData, previousStatus, alreadyActive, unsuspendedAt, confirmationMs, unsuspendRequestId, getUserRequestId, auditEvent, auditEventError,
+      profileStamped, stampedAttributes, profileStampError, justificationRecorded, justificationError,
+      groupMemberships, appAssignments, hygiene, followUp
+    } = await unsuspendAndConfirm(userId, client, options);
+
+    // Successfully unsuspended user, or nothing to do because the user is already ACTIVE
     return {
       userId,
-      unsuspended: true,
+      identifierType,
+      identifier,
+      unsuspended: !alreadyActive,
+      alreadyActive,
+      previousStatus,
+      org,
       address: baseUrl,
-      unsuspendedAt: userData.statusChanged || userData.lastUpdated,
-      status: userData.status
+      unsuspendedAt,
+      status: userData.status,
+      ...buildUserSnapshot(userData, options.profileAttributes),
+      attempts: client.attempts,
+      confirmationMs,
+      unsuspendRequestId,
+      getUserRequestId,
+      auditEvent,
+      auditEventError,
+      profileStamped,
+      stampedAttributes,
+      profileStampError,
+      ...options.justification.fields,
+      ...approvalFields,
+      justificationRecorded,
+      justificationError,
+      groupMemberships,
+      appAssignments,
+      hygiene,
+      expiresAt: followUp?.runAt,
+      followUp
     };
   },
 
   /**
-   * Error recovery handler - framework handles retries by default
-   * Only implement if custom recovery logic is needed
+   * Error recovery handler - decides between letting the framework retry and failing fast
    * @param {Object} params - Original params plus error information
    * @param {Object} context - Execution context
    * @returns {Object} Recovery results
    */
-  error: async (params, _context) => {
-    const { error, userId } = params;
-    console.error(`User unsuspension failed for user ${userId}: ${error.message}`);
+  error: async (params, context) => {
+    const { error } = params;
+    const logger = createLogger(context);
+    logger.bind(getJustificationFields(params));
+    logger.error('unsuspend.failed', {
+      target: describeUser(params),
+      org: params.org,
+      message: `User unsuspension failed for user ${describeUser(params)}: ${error.message}`,
+      code: error.code,
+      retryable: error.retryable,
+      requestId: error.requestId,
+      error
+    });
 
-    // Framework handles retries for transient errors (429, 502, 503, 504)
-    // Just re-throw the error to let the framework handle it
+    // Framework handles retries for transient errors (429, 502, 503, 504), so the status code it sees is set
+    // from the retryable flag. Errors that another attempt cannot fix (bad input, missing user, wrong lifecycle
+    // state, permissions) must not carry a transient status, or the job burns retries before failing
+    if (error.retryable === false) {
+      logger.error('unsuspend.not_retryable', {
+        code: error.code,
+        statusCode: error.statusCode,
+        message: `Error ${error.code} is not retryable. Failing without retry`
+      });
+      if (RETRYABLE_STATUS_CODES.includes(error.statusCode)) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+
+    // Retryable errors without a transient status (network errors, confirmation timeouts) go back as 503 so the
+    // framework retries them too. Unclassified errors are rethrown as they are
+    if (error.retryable === true && !RETRYABLE_STATUS_CODES.includes(error.statusCode)) {
+      logger.warn('unsuspend.retrying', {
+        code: error.code,
+        statusCode: error.statusCode,
+        message: `Error ${error.code} is retryable. Returning it to the framework as 503`
+      });
+      error.statusCode = 503;
+    }
     throw error;
   },
 
@@ -184,9 +2787,11 @@ export default {
    * @param {Object} context - Execution context
    * @returns {Object} Cleanup results
    */
-  halt: async (params, _context) => {
+  halt: async (params, context) => {
     const { reason, userId } = params;
-    console.log(`User unsuspension job is being halted (${reason}) for user ${userId}`);
+    const logger = createLogger(context);
+    logger.bind(getJustificationFields(params));
+    logger.info('unsuspend.halted', { userId, reason, message: `User unsuspension job is being halted (${reason}) for user ${userId}` });
 
     // No cleanup needed for this simple operation
     // The POST request either completed or didn't